@@ -0,0 +1,149 @@
+/**
+ * Accessibility Module
+ * Keyboard navigation and ARIA semantics for the search autocompletes and list views,
+ * plus a live region for screen reader announcements
+ */
+
+const A11y = (function () {
+    'use strict';
+
+    const OPTION_SELECTOR = '.search-result-item';
+    const ANNOUNCER_ID = 'sr-announcer';
+
+    /**
+     * Turn a text input and its results dropdown into an ARIA combobox with arrow key navigation.
+     * The dropdown keeps being rendered by its owner (innerHTML plus style.display); roles and state
+     * are synced whenever its items or visibility change. Enter clicks the active item, so the
+     * owner's click handler does the selection
+     * @param {HTMLInputElement} input
+     * @param {HTMLElement} listbox - Results container with an id, items use .search-result-item
+     */
+    function attachCombobox(input, listbox) {
+        if (!input || !listbox) return;
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('aria-expanded', 'false');
+        listbox.setAttribute('role', 'listbox');
+        const label = input.labels && input.labels[0];
+        if (label) listbox.setAttribute('aria-label', `${label.textContent.trim()} suggestions`);
+
+        const isOpen = () => listbox.style.display === 'block';
+        const getOptions = () => Array.from(listbox.querySelectorAll(`${OPTION_SELECTOR}:not(.no-results)`));
+        const getActive = () => listbox.querySelector(`${OPTION_SELECTOR}.active`);
+
+        function setActive(option) {
+            getOptions().forEach(item => {
+                item.classList.toggle('active', item === option);
+                item.setAttribute('aria-selected', item === option ? 'true' : 'false');
+            });
+            if (option) {
+                input.setAttribute('aria-activedescendant', option.id);
+                if (option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        }
+
+        // Give rendered items option roles and ids; a new render or a closed list drops the active item
+        function sync() {
+            Array.from(listbox.children).forEach((child, index) => {
+                if (!child.matches(OPTION_SELECTOR)) {
+                    child.setAttribute('role', 'presentation');
+                    return;
+                }
+                child.setAttribute('role', 'option');
+                if (!child.id) child.id = `${listbox.id}-option-${index}`;
+                if (child.classList.contains('no-results')) {
+                    child.setAttribute('aria-disabled', 'true');
+                } else if (!child.hasAttribute('aria-selected')) {
+                    child.setAttribute('aria-selected', 'false');
+                }
+            });
+            input.setAttribute('aria-expanded', isOpen() ? 'true' : 'false');
+            const active = getActive();
+            if (!isOpen() || !active) setActive(null);
+        }
+
+        new MutationObserver(sync).observe(listbox, { childList: true, attributes: true, attributeFilter: ['style'] });
+        sync();
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                const options = getOptions();
+                if (options.length === 0) return;
+                e.preventDefault();
+                if (!isOpen()) listbox.style.display = 'block';
+
+                const index = options.indexOf(getActive());
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const next = index < 0
+                    ? (step > 0 ? 0 : options.length - 1)
+                    : (index + step + options.length) % options.length;
+                setActive(options[next]);
+            } else if (e.key === 'Enter') {
+                const active = isOpen() ? getActive() : null;
+                if (!active) return;
+                e.preventDefault();
+                active.click();
+            } else if (e.key === 'Escape') {
+                setActive(null);
+            }
+        });
+    }
+
+    /**
+     * Arrow key, Home and End navigation between the items of a list with a roving tabindex,
+     * so the list is a single tab stop. Call again after re-rendering the items
+     * @param {HTMLElement} container
+     * @param {string} itemSelector - Focusable items, e.g. buttons
+     */
+    function bindListNavigation(container, itemSelector) {
+        if (!container) return;
+
+        const items = Array.from(container.querySelectorAll(itemSelector));
+        items.forEach((item, index) => item.setAttribute('tabindex', index === 0 ? '0' : '-1'));
+        if (container.dataset.listNavigation) return;
+        container.dataset.listNavigation = 'true';
+
+        container.addEventListener('keydown', (e) => {
+            const current = Array.from(container.querySelectorAll(itemSelector));
+            const index = current.indexOf(document.activeElement);
+            if (index < 0) return;
+
+            let next = null;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowRight') next = Math.min(current.length - 1, index + 1);
+            else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') next = Math.max(0, index - 1);
+            else if (e.key === 'Home') next = 0;
+            else if (e.key === 'End') next = current.length - 1;
+            if (next === null) return;
+
+            e.preventDefault();
+            current[index].setAttribute('tabindex', '-1');
+            current[next].setAttribute('tabindex', '0');
+            current[next].focus();
+        });
+    }
+
+    /**
+     * Read a message out through the polite live region
+     */
+    function announce(message) {
+        const region = document.getElementById(ANNOUNCER_ID);
+        if (!region) return;
+
+        // Clear first so repeating the same message is announced again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
+    }
+
+    // Public API
+    return {
+        attachCombobox,
+        bindListNavigation,
+        announce
+    };
+})();
+
+window.A11y = A11y;
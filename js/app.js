@@ -8,17 +8,61 @@
 
     // Configuration
     const CONFIG = {
-        colors: {
-            belowLevel1: '#e74c3c',  // Red - Can't work
-            level1: '#e67e22',       // Orange
-            level2: '#f1c40f',       // Yellow
-            level3: '#2ecc71',       // Light Green  
-            level4: '#27ae60',       // Green - Best chance
-            noData: '#cccccc'        // Gray - No data available
+        // Map palettes (key of state.palette); the CSS level variables switch with :root[data-palette]
+        palettes: {
+            standard: {
+                label: 'Standard',
+                colors: {
+                    belowLevel1: '#e74c3c',  // Red - Can't work
+                    level1: '#e67e22',       // Orange
+                    level2: '#f1c40f',       // Yellow
+                    level3: '#2ecc71',       // Light Green
+                    level4: '#27ae60',       // Green - Best chance
+                    noData: '#cccccc'        // Gray - No data available
+                },
+                // Year-over-year diff mode: how the level for the current salary changed
+                diffColors: {
+                    dropped: '#e74c3c',      // Red - Lower level than the comparison year
+                    same: '#95a5a6',         // Gray - Unchanged
+                    rose: '#27ae60'          // Green - Higher level than the comparison year
+                },
+                levelText: ['#fff', '#fff', '#333', '#333', '#333'] // Text on level badges, below L1 to Level 4
+            },
+            // Viridis steps (dark to light) and Okabe-Ito diff colors, distinguishable with any color vision deficiency
+            colorblind: {
+                label: 'Color-blind safe',
+                colors: {
+                    belowLevel1: '#440154',
+                    level1: '#3b528b',
+                    level2: '#21918c',
+                    level3: '#5ec962',
+                    level4: '#fde725',
+                    noData: '#cccccc'
+                },
+                diffColors: {
+                    dropped: '#d55e00',
+                    same: '#999999',
+                    rose: '#0072b2'
+                },
+                levelText: ['#fff', '#fff', '#fff', '#111', '#111']
+            }
+        },
+        // Map color modes; each has its own legend and tooltip line
+        mapModes: {
+            level: 'Wage level',
+            threshold: 'Threshold amount',
+            gap: 'Gap to next level',
+            col: 'COL-adjusted level'
         },
-        topoJsonUrl: 'https://cdn.jsdelivr.net/npm/us-atlas@3/counties-10m.json',
+        // Continuous scales (low → high) for the threshold and gap modes
+        scaleColors: {
+            threshold: ['#eff6ff', '#1e3a8a'],  // Light to dark blue
+            gap: ['#fef9c3', '#b91c1c']         // Pale yellow to red - bigger raise needed
+        },
+        topoJsonUrl: 'data/counties-10m.json', // us-atlas@3, bundled so the map works offline
         defaultSalary: 120000,
         defaultOccupation: '15-2051', // Data Scientists
+        defaultThresholdGrowth: 3,    // %/yr assumed by the growth projection when only one wage year is published
         // defaultState: 'MA',
         // defaultCounty: 'Suffolk County'
     };
@@ -26,7 +70,14 @@
     // Application state
     const state = {
         salary: CONFIG.defaultSalary,
+        payBasis: { period: 'annual', hoursPerWeek: 40 }, // Unit the salary is entered in
         occupation: CONFIG.defaultOccupation,
+        compareYear: null,     // Wage year to diff against (null = diff mode off)
+        mapMode: 'level',      // Key of CONFIG.mapModes
+        palette: 'standard',   // Key of CONFIG.palettes
+        thresholdLevel: 2,     // Level shown in threshold mode
+        colorScale: null,      // d3 sequential scale for the continuous modes
+        scaleValues: [],       // Sorted values behind colorScale (for percentiles)
         selectedState: null, // Changed from '' to null
         selectedCounty: '',
         countyData: null,
@@ -36,12 +87,14 @@
         tooltipLocked: false,  // Whether tooltip is locked (requires X to dismiss)
         currentAreaCode: null, // Track current area for calculator
         currentAreaName: null,
+        currentCountyState: null, // State of the selected county (an area can span several)
         svg: null,
         tooltip: null,
         projection: null,
         path: null,
         zoom: null,            // D3 zoom behavior
-        currentTransform: null // Current zoom transform
+        currentTransform: null, // Current zoom transform
+        restoringUrl: false    // Suppress URL writes while applying URL state
     };
 
     /**
@@ -53,19 +106,28 @@
         // Cache DOM elements
         state.tooltip = document.getElementById('tooltip');
 
+        // Cache the dashboard for offline use (runs in the background)
+        OfflineCache.init();
+
         // Show loading state
         const mapContainer = document.getElementById('map');
         mapContainer.innerHTML = '<div class="loading">Loading wage data...</div>';
 
         try {
-            // Load OFLC wage data first
+            // Load OFLC wage data first (area indexes + wage chunks for the default occupations)
+            WageData.onDataError(error => showDataError(`Couldn't load wage data: ${error.message}. ` +
+                'Check the dataset manifest or refresh the page.'));
             await WageData.loadData();
+            showDatasetWarning();
+            await loadOccupationData([CONFIG.defaultOccupation, '15-1252']);
 
             // Build lookup tables
             buildLookupTables();
 
             // Initialize filters with real occupation data
             initFilters();
+            initYearControls();
+            initMapModeControls();
             initStateCountyDropdowns();
             initCountySearch();
             setupEventListeners();
@@ -74,6 +136,9 @@
             // Comparison Tool
             initComparisonTool();
 
+            // County table (doesn't need the map, so it's ready before the TopoJSON loads)
+            initCountyTable();
+
             // Load and render map (don't block other features if this fails)
             try {
                 await loadMap();
@@ -102,16 +167,71 @@
             // Initialize new features (these work independently of the map)
             initSalaryCalculator();
             initMultiCompare();
+            initReverseSearch();
+            initReportExport();
+            initRoster();
+            initWorksites();
+            initGrowthProjection();
+            initKeyboardAccess();
+
+            initLotterySettings();
+
+            // Restore a shared link and follow back/forward navigation
+            await applyUrlState(UrlState.read());
+            UrlState.onNavigate(applyUrlState);
+            MultiCompare.onChange(() => syncUrl());
 
             console.log('Dashboard ready!');
         } catch (error) {
             console.error('Failed to initialize:', error);
-            mapContainer.innerHTML = `<div class="loading" style="color: #c41e3a;">
-                Failed to load data. Please refresh the page.
-            </div>`;
+            // The message names the file and problem, e.g. "counties.json is corrupt (checksum mismatch)"
+            const message = error instanceof DataProvider.DataError
+                ? `Couldn't load wage data: ${error.message}. Check the dataset manifest (${DataProvider.getManifestUrl()}) or refresh the page.`
+                : 'Failed to load data. Please refresh the page.';
+            mapContainer.innerHTML = '<div class="loading" style="color: #c41e3a;"></div>';
+            mapContainer.firstChild.textContent = message;
+            showDataError(message);
         }
     }
 
+    /**
+     * Show a data problem (missing or corrupt file) in the banner above the dashboard
+     */
+    function showDataError(message) {
+        const warning = document.getElementById('dataset-warning');
+        if (!warning) return;
+
+        warning.textContent = `⚠️ ${message}`;
+        warning.classList.remove('hidden');
+    }
+
+    /**
+     * Explain that a custom dataset failed to load and the bundled one is shown instead
+     */
+    function showDatasetWarning() {
+        if (!WageData.datasetError) return;
+        showDataError(`Couldn't load the configured dataset: ${WageData.datasetError.message}. ` +
+            `Showing the bundled ${WageData.dataset.version} data instead.`);
+    }
+
+    /**
+     * Show the active dataset version and the selected wage year's effective date in the footer
+     */
+    function updateDatasetInfo() {
+        const element = document.getElementById('footer-dataset');
+        const dataset = WageData.dataset;
+        const year = WageData.getYear(WageData.currentYear);
+        if (!element || !dataset || !year) return;
+
+        const formatDate = date => new Date(date).toLocaleDateString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+        });
+        element.textContent = `Dataset: ${dataset.version} • Effective ${formatDate(year.effective)}` +
+            (dataset.generated ? ` • Built ${formatDate(dataset.generated)}` : '');
+        element.title = `${dataset.name}${dataset.source ? ` from ${dataset.source}` : ''}` +
+            (dataset.manifestUrl ? ` (manifest: ${dataset.manifestUrl})` : '');
+    }
+
     /**
      * Build lookup tables for county → area mapping
      */
@@ -122,38 +242,10 @@
         if (!WageData.counties) return;
 
         for (const [key, data] of Object.entries(WageData.counties)) {
-            // Map county+state to area code - Standard Match
+            // Map county+state to area code (map features use WageData.getCountyArea instead)
             const mapKey = `${data.county}|${data.state}`;
             state.countyToArea[mapKey] = data.area;
 
-            // Normalized Match (lowercase, no punctuation, no common suffixes)
-            // This handles mismatches like "St." vs "Saint", "O'Brien" vs "Obrien", etc.
-            const cleanCounty = data.county.toLowerCase()
-                .replace(' county', '')
-                .replace(' parish', '')
-                .replace(' borough', '')
-                .replace(' census area', '')
-                .replace(' city', '') // Handle independent cities
-                .replace(/\./g, '')
-                .replace(/'/g, '')
-                .trim();
-
-            const mapKeyNorm = `${cleanCounty}|${data.state}`;
-            if (!state.countyToArea[mapKeyNorm]) {
-                state.countyToArea[mapKeyNorm] = data.area;
-            }
-
-            // Also handle "Saint" <-> "St" conversion
-            if (cleanCounty.includes('st ')) {
-                const saintCounty = cleanCounty.replace('st ', 'saint ');
-                const mapKeySaint = `${saintCounty}|${data.state}`;
-                state.countyToArea[mapKeySaint] = data.area;
-            } else if (cleanCounty.includes('saint ')) {
-                const stCounty = cleanCounty.replace('saint ', 'st ');
-                const mapKeySt = `${stCounty}|${data.state}`;
-                state.countyToArea[mapKeySt] = data.area;
-            }
-
             // Group counties by state
             if (!state.stateCounties[data.state]) {
                 state.stateCounties[data.state] = [];
@@ -179,32 +271,6 @@
                         if (!state.countyToArea[mapKey]) {
                             state.countyToArea[mapKey] = areaCode;
                         }
-
-                        // Generate normalized keys
-                        const cleanCounty = cName.toLowerCase()
-                            .replace(' county', '')
-                            .replace(' parish', '')
-                            .replace(' borough', '')
-                            .replace(' census area', '')
-                            .replace(' city', '')
-                            .replace(/\./g, '')
-                            .replace(/'/g, '')
-                            .replace(/ñ/g, 'n')
-                            .trim();
-
-                        const mapKeyNorm = `${cleanCounty}|${stateAbbr}`;
-                        if (!state.countyToArea[mapKeyNorm]) {
-                            state.countyToArea[mapKeyNorm] = areaCode;
-                        }
-
-                        // Handle Saint/St variations
-                        if (cleanCounty.includes('st ')) {
-                            const saintCounty = cleanCounty.replace('st ', 'saint ');
-                            state.countyToArea[`${saintCounty}|${stateAbbr}`] = areaCode;
-                        } else if (cleanCounty.includes('saint ')) {
-                            const stCounty = cleanCounty.replace('saint ', 'st ');
-                            state.countyToArea[`${stCounty}|${stateAbbr}`] = areaCode;
-                        }
                     });
                 }
             }
@@ -222,25 +288,97 @@
     /**
      * Initialize filter dropdowns with real OFLC occupation data
      */
+    // Badge labels for job titles that resolve to a different OES title
+    const TITLE_SOURCE_LABELS = {
+        onet: 'O*NET title',
+        common: 'Common title'
+    };
+
+    /**
+     * Render one occupation search result; alternate titles show the SOC they resolve to
+     */
+    function renderOccupationResult(result) {
+        const display = `${result.title} (${result.code})`;
+        const meta = formatOccupationMeta(WageData.getOccupation(result.code));
+        const metaHtml = meta ? `<div class="search-result-meta">${meta}</div>` : '';
+
+        if (result.source === 'oes') {
+            return `
+                <div class="search-result-item" data-code="${result.code}" data-display="${display}">
+                    <strong>${result.title}</strong> <small>(${result.code})</small>
+                    ${metaHtml}
+                </div>
+            `;
+        }
+
+        return `
+            <div class="search-result-item" data-code="${result.code}" data-display="${display}">
+                <strong>${result.matchedTitle}</strong>
+                <span class="title-source-badge">${TITLE_SOURCE_LABELS[result.source]}</span>
+                <div class="search-result-resolved">&rarr; ${result.title} <small>(${result.code})</small></div>
+                ${metaHtml}
+            </div>
+        `;
+    }
+
+    /**
+     * One-line job zone and education summary, e.g. "Job Zone 4 · Bachelor's degree"
+     */
+    function formatOccupationMeta(occupation) {
+        if (!occupation || !occupation.jobZone) return '';
+        const parts = [`Job Zone ${occupation.jobZone}`];
+        if (occupation.education) parts.push(occupation.education === 'None' ? 'No formal education' : occupation.education);
+        return parts.join(' · ');
+    }
+
+    /**
+     * Show the DOL description, job zone and typical requirements of the selected occupation
+     */
+    function updateOccupationDetails() {
+        const panel = document.getElementById('occupation-details');
+        if (!panel) return;
+
+        const occupation = WageData.getOccupation(state.occupation);
+        if (!occupation) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const zone = WageData.jobZones[occupation.jobZone];
+        const education = occupation.education === 'None' ? 'No formal educational credential' : occupation.education;
+
+        document.getElementById('occupation-details-title').textContent = `${occupation.title} (${occupation.code})`;
+        document.getElementById('occupation-details-description').textContent =
+            occupation.description || 'No description published for this occupation.';
+        document.getElementById('occupation-details-zone').textContent =
+            zone ? `${occupation.jobZone} – ${zone.label}` : 'Not listed';
+        document.getElementById('occupation-details-education').textContent = education || 'Not listed';
+        document.getElementById('occupation-details-experience').textContent = zone ? zone.experience : 'Not listed';
+        document.getElementById('occupation-details-appendix').textContent = occupation.appendixA
+            ? 'Yes – requiring the listed education does not raise the wage level'
+            : 'No';
+
+        panel.classList.remove('hidden');
+    }
+
     function initFilters() {
         const occupationInput = document.getElementById('occupation');
         const occupationValue = document.getElementById('occupation-value');
         const occupationResults = document.getElementById('occupation-results');
 
-        // Build occupation list for searching
-        const occupationsList = WageData.occupations.map(occ => ({
-            code: occ.code,
-            title: occ.title,
-            display: `${occ.title} (${occ.code})`
-        }));
+        // Full occupation list shown on focus or when the search is cleared
+        const allOccupationsHtml = () => WageData.getOccupations()
+            .map(occ => renderOccupationResult({ code: occ.code, title: occ.title, source: 'oes' }))
+            .join('');
 
         // Set default occupation
-        const defaultOcc = occupationsList.find(o => o.code === CONFIG.defaultOccupation);
+        const defaultOcc = WageData.getOccupation(CONFIG.defaultOccupation);
         if (defaultOcc) {
-            occupationInput.value = defaultOcc.display;
+            occupationInput.value = `${defaultOcc.title} (${defaultOcc.code})`;
             occupationValue.value = defaultOcc.code;
         }
         state.occupation = CONFIG.defaultOccupation;
+        updateOccupationDetails();
 
         // Set default salary
         document.getElementById('salary').value = CONFIG.defaultSalary.toLocaleString();
@@ -254,30 +392,20 @@
 
             if (query.length === 0) {
                 // Show all occupations when cleared
-                occupationResults.innerHTML = occupationsList.map(o => `
-                    <div class="search-result-item" data-code="${o.code}" data-display="${o.display}">
-                        <strong>${o.title}</strong> <small>(${o.code})</small>
-                    </div>
-                `).join('');
+                occupationResults.innerHTML = allOccupationsHtml();
                 occupationResults.style.display = 'block';
                 return;
             }
 
             debounceTimer = setTimeout(() => {
-                // Filter occupations by title or code
-                const results = occupationsList.filter(o =>
-                    o.title.toLowerCase().includes(query) ||
-                    o.code.toLowerCase().includes(query)
-                );
+                // Rank OES titles, codes, and alternate job titles resolved to their SOC code
+                const results = WageData.searchOccupations(query);
 
                 if (results.length === 0) {
-                    occupationResults.innerHTML = '<div class="search-result-item no-results">No occupations found</div>';
+                    // The dataset may not publish every OFLC occupation (the bundled one has 100)
+                    occupationResults.innerHTML = `<div class="search-result-item no-results">No occupations found among the ${WageData.occupations.length} with wage data in this dataset</div>`;
                 } else {
-                    occupationResults.innerHTML = results.map(o => `
-                        <div class="search-result-item" data-code="${o.code}" data-display="${o.display}">
-                            <strong>${o.title}</strong> <small>(${o.code})</small>
-                        </div>
-                    `).join('');
+                    occupationResults.innerHTML = results.map(renderOccupationResult).join('');
                 }
 
                 occupationResults.style.display = 'block';
@@ -285,7 +413,7 @@
         });
 
         // Handle occupation result selection
-        occupationResults.addEventListener('click', (e) => {
+        occupationResults.addEventListener('click', async (e) => {
             const item = e.target.closest('.search-result-item');
             if (!item || item.classList.contains('no-results')) return;
 
@@ -296,22 +424,21 @@
             occupationValue.value = code;
             occupationResults.style.display = 'none';
 
-            // Update state and refresh map
+            // Update state, fetch this occupation's wages, then refresh map
             state.occupation = code;
+            updateOccupationDetails();
+            await loadOccupationData([code]);
+            if (state.occupation !== code) return; // Superseded by a newer selection
+
             updateCountyColors();
+            updateComparison();
+            updateSalaryGaps();
+            updateReverseSearch();
+            updateWorksites();
+            syncUrl();
 
             // Update tooltip if a county is selected
-            if (state.highlightedCounty && state.selectedCounty) {
-                const countySelect = document.getElementById('county-filter');
-                const value = countySelect.value;
-                if (value) {
-                    const [countyName, areaCode] = value.split('|');
-                    const wages = WageData.getWages(areaCode, state.occupation);
-                    const level = wages ? WageData.calculateWageLevel(state.salary, areaCode, state.occupation) : -1;
-                    const areaInfo = WageData.getAreaInfo(areaCode);
-                    showCountyDetails(countyName, state.selectedState, areaCode, wages, level, areaInfo, state.tooltipLocked);
-                }
-            }
+            refreshSelectedCountyDetails();
         });
 
         // Close results when clicking outside
@@ -330,15 +457,103 @@
 
         // Show all occupations on focus
         occupationInput.addEventListener('focus', (e) => {
-            occupationResults.innerHTML = occupationsList.map(o => `
-                <div class="search-result-item" data-code="${o.code}" data-display="${o.display}">
-                    <strong>${o.title}</strong> <small>(${o.code})</small>
-                </div>
-            `).join('');
+            occupationResults.innerHTML = allOccupationsHtml();
             occupationResults.style.display = 'block';
         });
     }
 
+    /**
+     * Re-render the tooltip of the selected county after occupation or pay changes
+     */
+    function refreshSelectedCountyDetails() {
+        if (!state.highlightedCounty || !state.selectedCounty) return;
+
+        const countySelect = document.getElementById('county-filter');
+        const value = countySelect.value;
+        if (value) {
+            const [countyName, areaCode] = value.split('|');
+            const wages = WageData.getWages(areaCode, state.occupation, state.payBasis);
+            const level = wages ? WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis) : -1;
+            const areaInfo = WageData.getAreaInfo(areaCode);
+            showCountyDetails(countyName, state.selectedState, areaCode, wages, level, areaInfo, state.tooltipLocked);
+        }
+    }
+
+    /**
+     * Load wage chunks for occupations in the selected year and, in diff mode, the comparison year
+     */
+    function loadOccupationData(socCodes) {
+        return WageData.loadOccupations(socCodes, [WageData.currentYear, state.compareYear]);
+    }
+
+    /**
+     * Initialize wage year selector and year-over-year diff selector
+     */
+    function initYearControls() {
+        const yearSelect = document.getElementById('wage-year');
+        const compareSelect = document.getElementById('compare-year');
+        if (!yearSelect || !compareSelect) return;
+
+        // Newest year first
+        [...WageData.years].reverse().forEach(year => {
+            yearSelect.add(new Option(year.id, year.id));
+            compareSelect.add(new Option(`vs ${year.id}`, year.id));
+        });
+
+        const applyYearChange = async () => {
+            const year = yearSelect.value;
+            const compareYear = compareSelect.value && compareSelect.value !== year ? compareSelect.value : null;
+
+            WageData.setYear(year);
+            state.compareYear = compareYear;
+            await loadOccupationData([state.occupation, document.getElementById('multi-occupation')?.value]);
+
+            // Ignore stale loads if the selection changed meanwhile
+            if (WageData.currentYear !== year || state.compareYear !== compareYear) return;
+
+            updateYearControls();
+            updateCountyColors();
+            updateComparison();
+            updateSalaryGaps();
+            updateReverseSearch();
+            updateWorksites();
+            refreshSelectedCountyDetails();
+            MultiCompare.updateAll();
+            syncUrl();
+        };
+
+        yearSelect.addEventListener('change', applyYearChange);
+        compareSelect.addEventListener('change', applyYearChange);
+
+        updateYearControls();
+    }
+
+    /**
+     * Sync year selectors, legend and footer with the selected years
+     */
+    function updateYearControls() {
+        const yearSelect = document.getElementById('wage-year');
+        const compareSelect = document.getElementById('compare-year');
+
+        if (yearSelect) yearSelect.value = WageData.currentYear;
+        if (compareSelect) {
+            compareSelect.value = state.compareYear || '';
+            // A year cannot be diffed against itself
+            Array.from(compareSelect.options).forEach(opt => {
+                opt.disabled = opt.value !== '' && opt.value === WageData.currentYear;
+            });
+            compareSelect.disabled = WageData.years.length < 2;
+            compareSelect.title = WageData.years.length < 2 ? 'Only one wage year is published' : '';
+        }
+
+        updateLegend();
+
+        const footerYear = document.getElementById('footer-wage-year');
+        const year = WageData.getYear(WageData.currentYear);
+        if (footerYear && year) footerYear.textContent = year.label;
+        updateDatasetInfo();
+    }
+
     /**
      * Initialize state and county dropdown hierarchy
      */
@@ -375,6 +590,7 @@
                 // Clear county search too
                 const countySearch = document.getElementById('county-search');
                 if (countySearch) countySearch.value = '';
+                syncUrl();
             });
         }
 
@@ -411,6 +627,7 @@
                 updateCountyDropdown();
                 updateCountyColors();
                 resetZoom();
+                syncUrl();
                 return;
             }
 
@@ -440,20 +657,8 @@
             const item = e.target.closest('.search-result-item');
             if (!item || item.classList.contains('no-results')) return;
 
-            const abbr = item.dataset.abbr;
-            const name = item.dataset.name;
-
-            stateInput.value = name;
-            stateValue.value = abbr;
             stateResults.style.display = 'none';
-
-            // Update state
-            state.selectedState = abbr;
-            state.selectedCounty = '';
-            unlockTooltip();
-            updateCountyDropdown();
-            updateCountyColors();
-            zoomToState(abbr);
+            selectState(item.dataset.abbr);
         });
 
         // Close results when clicking outside
@@ -495,6 +700,7 @@
                 state.selectedCounty = '';
                 unlockTooltip();
                 clearHighlight();
+                syncUrl();
                 return;
             }
 
@@ -504,6 +710,7 @@
 
             // Highlight the county and lock tooltip
             highlightCountyByArea(countyName, state.selectedState, areaCode, true);
+            syncUrl();
         });
 
         // Apply Defaults if available
@@ -545,6 +752,22 @@
     }
 
 
+    /**
+     * Select a state as if it was picked in the state search: filter the map, list its counties and zoom in
+     */
+    function selectState(abbr) {
+        document.getElementById('state-filter').value = WageData.stateNames[abbr] || abbr;
+        document.getElementById('state-filter-value').value = abbr;
+
+        state.selectedState = abbr;
+        state.selectedCounty = '';
+        unlockTooltip();
+        updateCountyDropdown();
+        updateCountyColors();
+        zoomToState(abbr);
+        syncUrl();
+    }
+
     /**
      * Update county dropdown based on selected state
      */
@@ -576,6 +799,13 @@
 
         if (!searchInput || !searchResults) return;
 
+        // Offer ZIP and city search only when the dataset ships their indexes
+        const hasZips = WageData.hasFile('zipCounties');
+        const hasPlaces = WageData.hasFile('places');
+        if (hasZips || hasPlaces) {
+            searchInput.placeholder = `County${hasPlaces ? ', City, ST' : ''}${hasZips ? ' or ZIP' : ''}...`;
+        }
+
         let debounceTimer;
 
         searchInput.addEventListener('input', (e) => {
@@ -588,20 +818,11 @@
                 return;
             }
 
-            debounceTimer = setTimeout(() => {
-                const results = WageData.searchCounties(query, 8);
-
-                if (results.length === 0) {
-                    searchResults.innerHTML = '<div class="search-result-item no-results">No counties found</div>';
-                } else {
-                    searchResults.innerHTML = results.map(r => `
-                        <div class="search-result-item" data-area="${r.areaCode}" data-county="${r.county}" data-state="${r.state}">
-                            <strong>${r.county}</strong>, ${r.state}
-                            <br><small>${r.areaName}</small>
-                        </div>
-                    `).join('');
-                }
+            debounceTimer = setTimeout(async () => {
+                const html = await buildLocationResults(query);
+                if (searchInput.value.trim() !== query) return; // Superseded while the ZIP/city index loaded
 
+                searchResults.innerHTML = html;
                 searchResults.style.display = 'block';
             }, 150);
         });
@@ -611,26 +832,8 @@
             const item = e.target.closest('.search-result-item');
             if (!item || item.classList.contains('no-results')) return;
 
-            const areaCode = item.dataset.area;
-            const county = item.dataset.county;
-            const stateAbbr = item.dataset.state;
-
-            searchInput.value = `${county}, ${stateAbbr}`;
             searchResults.style.display = 'none';
-
-            // Update state search input to match
-            document.getElementById('state-filter').value = WageData.stateNames[stateAbbr] || stateAbbr;
-            document.getElementById('state-filter-value').value = stateAbbr;
-            state.selectedState = stateAbbr;
-            updateCountyDropdown();
-
-            // Set county dropdown
-            const countySelect = document.getElementById('county-filter');
-            countySelect.value = `${county}|${areaCode}`;
-
-            // Zoom to state and highlight the county with locked tooltip
-            zoomToState(stateAbbr);
-            highlightCountyByArea(county, stateAbbr, areaCode, true);
+            selectCounty(item.dataset.county, item.dataset.state, item.dataset.area);
         });
 
         // Close results when clicking outside
@@ -648,6 +851,69 @@
         });
     }
 
+    /**
+     * Quick search results for a county name, a "City, ST" string or a ZIP code
+     * (ZIP and city search use optional indexes built from Census relationship files or
+     * GeoNames postal codes, and are skipped when the dataset doesn't include them)
+     */
+    async function buildLocationResults(query) {
+        const noResults = text => `<div class="search-result-item no-results">${text}</div>`;
+
+        // ZIP code
+        if (WageData.hasFile('zipCounties') && /^\d+(-\d*)?$/.test(query)) {
+            if (!/^\d{5}(-\d{4})?$/.test(query)) return noResults('Enter a 5-digit ZIP code');
+
+            await WageData.loadLocationIndex();
+            const matches = WageData.lookupZip(query);
+            if (!matches) return noResults('ZIP code search is not available; search by county name');
+            if (matches.length === 0) return noResults(`No counties found for ZIP ${query}`);
+
+            const areas = new Set(matches.map(m => m.areaCode)).size;
+            const note = matches.length > 1
+                ? `<div class="search-result-note">ZIP ${query} spans ${matches.length} counties${areas > 1 ? ` in ${areas} OFLC areas` : ''}. Pick the worksite county:</div>`
+                : '';
+            return note + matches.map(m => buildLocationResultHtml(m, `${m.county}, ${m.state}`,
+                matches.length > 1 ? `${m.share}% of ZIP ${query}` : `ZIP ${query}`)).join('');
+        }
+
+        const counties = WageData.searchCounties(query, 8);
+        const items = counties.map(c => buildLocationResultHtml(c, `${c.county}, ${c.state}`));
+
+        // City, ST
+        const cityMatch = WageData.hasFile('places') ? query.match(/^(.+?),\s*([A-Za-z]{2})$/) : null;
+        let places = null;
+        if (cityMatch) {
+            await WageData.loadLocationIndex();
+            places = WageData.lookupCity(cityMatch[1], cityMatch[2]);
+            (places || []).forEach(place => {
+                const areas = new Set(place.counties.map(c => c.areaCode)).size;
+                if (place.counties.length > 1) {
+                    items.push(`<div class="search-result-note">${place.place}, ${place.state} spans ${place.counties.length} counties${areas > 1 ? ` in ${areas} OFLC areas` : ''}. Pick the worksite county:</div>`);
+                }
+                place.counties.forEach(c => items.push(buildLocationResultHtml(c, `${place.place}, ${place.state}`, c.county)));
+            });
+        }
+
+        if (items.length) return items.join('');
+        if (cityMatch && !places) return noResults('No counties found; city search is not available');
+        return noResults(cityMatch ? 'No counties or cities found' : 'No counties found');
+    }
+
+    /**
+     * One quick search result; ZIP and city results also show the area's thresholds
+     * @param {object} match - { county, state, areaCode, areaName }
+     */
+    function buildLocationResultHtml(match, title, detail = null) {
+        const wages = detail ? WageData.getWages(match.areaCode, state.occupation, state.payBasis) : null;
+        return `
+            <div class="search-result-item" data-area="${match.areaCode}" data-county="${match.county}" data-state="${match.state}">
+                <strong>${title}</strong>${detail ? ` <span class="search-result-detail">${detail}</span>` : ''}
+                <br><small>${match.areaName}</small>
+                ${wages ? `<br><small class="search-result-thresholds">L1 ${formatPay(wages.l1)} · L2 ${formatPay(wages.l2)} · L3 ${formatPay(wages.l3)} · L4 ${formatPay(wages.l4)}</small>` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Unlock tooltip (allow hover again)
      */
@@ -674,6 +940,8 @@
         // Clear current area for calculator
         state.currentAreaCode = null;
         state.currentAreaName = null;
+        state.currentCountyState = null;
+        CountyTable.setSelected(null);
         updateSalaryGaps(); // Update calculator
     }
 
@@ -684,50 +952,33 @@
         clearHighlight();
 
         // Get wage data for this area
-        const wages = WageData.getWages(areaCode, state.occupation);
-        const level = wages ? WageData.calculateWageLevel(state.salary, areaCode, state.occupation) : -1;
+        const wages = WageData.getWages(areaCode, state.occupation, state.payBasis);
+        const level = wages ? WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis) : -1;
         const areaInfo = WageData.getAreaInfo(areaCode);
 
         // Show details with lock if specified
         showCountyDetails(countyName, stateAbbr, areaCode, wages, level, areaInfo, lockTooltip);
+        CountyTable.setSelected(countyName, stateAbbr);
 
         // Find and highlight ONLY the specific county selected, not the entire metro area
         if (!state.svg) return;
 
-        // Normalize the county name for comparison
-        const normalizeCountyName = (name) => {
-            return name.toLowerCase()
-                .replace(' county', '')
-                .replace(' parish', '')
-                .replace(' borough', '')
-                .replace(' census area', '')
-                .replace(' city', '')
-                .replace(/\./g, '')
-                .replace(/'/g, '')
-                .replace(/ñ/g, 'n')
-                .trim();
-        };
-
-        const targetCountyNorm = normalizeCountyName(countyName);
+        const countyFips = WageData.getCountyFips(countyName, stateAbbr);
 
         state.svg.selectAll('.county').each(function (d) {
-            const fipsState = String(d.id).padStart(5, '0').substring(0, 2);
-            const fipsStateAbbr = WageData.fipsToState[fipsState];
-
-            if (fipsStateAbbr === stateAbbr) {
-                const cName = d.properties?.name;
-                if (cName && normalizeCountyName(cName) === targetCountyNorm) {
-                    const element = d3.select(this);
-                    element.classed('highlighted', true);
-                    element.raise(); // Bring to front so stroke is visible on all sides
-                    state.highlightedCounty = element;
-                }
+            if (countyFips.includes(String(d.id).padStart(5, '0'))) {
+                const element = d3.select(this);
+                element.classed('highlighted', true);
+                element.raise(); // Bring to front so stroke is visible on all sides
+                state.highlightedCounty = element;
             }
         });
 
         // Store current area for calculator
+        state.selectedCounty = countyName;
         state.currentAreaCode = areaCode;
         state.currentAreaName = `${countyName}, ${stateAbbr}`;
+        state.currentCountyState = stateAbbr;
         updateSalaryGaps(); // Update calculator
     }
 
@@ -738,14 +989,8 @@
         const stateName = WageData.stateNames[stateAbbr] || stateAbbr;
 
         const levelLabels = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
-        const levelColors = [
-            CONFIG.colors.belowLevel1,
-            CONFIG.colors.level1,
-            CONFIG.colors.level2,
-            CONFIG.colors.level3,
-            CONFIG.colors.level4
-        ];
-        const levelStatus = ['❌ Low priority', '⚠️ Low-Medium', '⚠️ Medium', '✅ Good chance', '✅ Best chance'];
+        const { colors, levelText } = getPalette();
+        const levelColors = [colors.belowLevel1, colors.level1, colors.level2, colors.level3, colors.level4];
 
         // Add close button if locked
         const closeButton = lockTooltip ?
@@ -758,15 +1003,17 @@
                 <div class="tooltip-title">${countyName}, ${stateName}</div>
                 <div class="tooltip-content">
                     <strong>Area:</strong> ${areaInfo?.areaName || 'N/A'}<br>
-                    <strong>Your Salary:</strong> $${state.salary.toLocaleString()}<br><br>
-                    <strong>Wage Thresholds (Annual):</strong><br>
-                    Level 1: $${wages.l1.toLocaleString()}<br>
-                    Level 2: $${wages.l2.toLocaleString()}<br>
-                    Level 3: $${wages.l3.toLocaleString()}<br>
-                    Level 4: $${wages.l4.toLocaleString()}
+                    <strong>Your Salary:</strong> ${formatPay(state.salary)}${getPayPeriod().suffix}${formatHoursNote()}<br><br>
+                    <strong>Wage Thresholds (${getPayPeriod().label}):</strong><br>
+                    Level 1: ${formatPay(wages.l1)}<br>
+                    Level 2: ${formatPay(wages.l2)}<br>
+                    Level 3: ${formatPay(wages.l3)}<br>
+                    Level 4: ${formatPay(wages.l4)}
+                    ${buildYearDiffHtml(areaCode)}
+                    ${buildMapModeHtml(areaCode)}
                 </div>
-                <div class="tooltip-level" style="background-color: ${levelColors[level]}; color: ${level <= 1 ? '#fff' : '#333'};">
-                    ${levelLabels[level]} - ${levelStatus[level]}
+                <div class="tooltip-level" style="background-color: ${levelColors[level]}; color: ${levelText[level]};">
+                    ${levelLabels[level]} - ${LotteryEstimator.formatProbability(level)}
                 </div>
             `;
         } else {
@@ -789,6 +1036,11 @@
         state.tooltip.classList.add('visible');
 
         if (lockTooltip) {
+            const occupation = WageData.getOccupation(state.occupation);
+            A11y.announce(wages && level >= 0
+                ? `${countyName}, ${stateName}: ${levelLabels[level]} for ${occupation ? occupation.title : state.occupation} at ${formatPay(state.salary)}${getPayPeriod().suffix}`
+                : `${countyName}, ${stateName}: no wage data for the selected occupation`);
+
             state.tooltipLocked = true;
             state.tooltip.classList.add('locked');
             // Shift zoom controls to right to avoid overlap
@@ -810,6 +1062,7 @@
         if (searchInput) searchInput.value = '';
 
         clearHighlight();
+        syncUrl();
     };
 
     /**
@@ -841,10 +1094,22 @@
 
         if (stateCounties.length === 0) return;
 
-        // Calculate bounds
+        const scale = zoomToFeatures(stateCounties);
+
+        // Add county labels after zoom
+        setTimeout(() => {
+            addCountyLabels(stateAbbr, stateCounties, scale);
+        }, 800);
+    }
+
+    /**
+     * Zoom the map to fit a set of county features
+     * @returns {number} Zoom scale
+     */
+    function zoomToFeatures(features) {
         const bounds = state.path.bounds({
             type: 'FeatureCollection',
-            features: stateCounties
+            features
         });
 
         const mapContainer = document.getElementById('map');
@@ -871,11 +1136,7 @@
             .call(state.zoom.transform, transform);
 
         state.currentTransform = transform;
-
-        // Add county labels after zoom
-        setTimeout(() => {
-            addCountyLabels(stateAbbr, stateCounties, scale);
-        }, 800);
+        return scale;
     }
 
     /**
@@ -969,8 +1230,9 @@
         } catch (error) {
             console.error('Error loading map:', error);
             mapContainer.innerHTML = `<div class="loading" style="color: #c41e3a;">
-                Failed to load map. Please refresh the page.
+                Failed to load map. Use the county table below, or refresh the page.
             </div>`;
+            openCountyTable();
         }
     }
 
@@ -986,7 +1248,9 @@
         state.svg = d3.select('#map')
             .append('svg')
             .attr('viewBox', `0 0 ${width} ${height}`)
-            .attr('preserveAspectRatio', 'xMidYMid meet');
+            .attr('preserveAspectRatio', 'xMidYMid meet')
+            .attr('role', 'img')
+            .attr('aria-label', 'US county map colored by wage level. Use the county list below the map to browse counties with the keyboard.');
 
         // Create main group for zooming
         const g = state.svg.append('g').attr('class', 'map-group');
@@ -1018,6 +1282,13 @@
         // Get features
         const counties = topojson.feature(us, us.objects.counties);
 
+        // Report features without an OFLC area (they render as "no data")
+        const unmatched = WageData.findUnmatchedFeatures(counties.features);
+        if (unmatched.length > 0) {
+            console.warn(`${unmatched.length} map counties have no OFLC area:`,
+                unmatched.map(f => `${f.fips} ${f.name}`).join(', '));
+        }
+
         // Draw counties
         g.append('g')
             .attr('class', 'counties')
@@ -1039,6 +1310,15 @@
             .datum(topojson.mesh(us, us.objects.states, (a, b) => a !== b))
             .attr('class', 'state-border')
             .attr('d', state.path);
+
+        markWorksites();
+    }
+
+    /**
+     * Colors of the selected map palette
+     */
+    function getPalette() {
+        return CONFIG.palettes[state.palette] || CONFIG.palettes.standard;
     }
 
     /**
@@ -1050,137 +1330,397 @@
         const fipsState = fips.substring(0, 2);
         const stateAbbr = WageData.fipsToState[fipsState];
 
-        if (!stateAbbr) return CONFIG.colors.noData;
+        if (!stateAbbr) return getPalette().colors.noData;
 
         // Filter by selected state if set
         if (state.selectedState && stateAbbr !== state.selectedState) {
             return '#e8e8e8'; // Muted color for non-selected states
         }
 
-        // Get county name from properties
-        const countyName = county.properties?.name;
-        if (!countyName) return CONFIG.colors.noData;
-
         // Find the OFLC area for this county
-        const key1 = `${countyName} County|${stateAbbr}`;
-        const key2 = `${countyName}|${stateAbbr}`;
-        let areaCode = state.countyToArea[key1] || state.countyToArea[key2];
-
-        // If not found, try normalized lookup
-        if (!areaCode) {
-            const cleanName = countyName.toLowerCase()
-                .replace(/\./g, '')
-                .replace(/'/g, '')
-                .trim();
-            const keyNorm = `${cleanName}|${stateAbbr}`;
-            areaCode = state.countyToArea[keyNorm];
+        const countyArea = WageData.getCountyArea(fips);
+        if (!countyArea) return getPalette().colors.noData;
+        const areaCode = countyArea.area;
+
+        switch (state.mapMode) {
+            case 'threshold':
+            case 'gap':
+                return getScaleColor(areaCode);
+            case 'col':
+                return getLevelColor(getColAdjustedLevel(areaCode));
+            default:
+                if (state.compareYear) return getLevelChangeColor(areaCode);
+                return getLevelColor(WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis));
         }
+    }
 
-        if (!areaCode) return CONFIG.colors.noData;
-
-        // Get wage level
-        const level = WageData.calculateWageLevel(state.salary, areaCode, state.occupation);
-
+    /**
+     * Color for a discrete wage level (-1 = no data)
+     */
+    function getLevelColor(level) {
         switch (level) {
-            case 0: return CONFIG.colors.belowLevel1;
-            case 1: return CONFIG.colors.level1;
-            case 2: return CONFIG.colors.level2;
-            case 3: return CONFIG.colors.level3;
-            case 4: return CONFIG.colors.level4;
-            default: return CONFIG.colors.levelBelow;
+            case 0: return getPalette().colors.belowLevel1;
+            case 1: return getPalette().colors.level1;
+            case 2: return getPalette().colors.level2;
+            case 3: return getPalette().colors.level3;
+            case 4: return getPalette().colors.level4;
+            default: return getPalette().colors.noData;
         }
     }
 
     /**
-     * Update all county colors
+     * Amount needed to reach the next level in an area
+     * @returns {object|null} { level: next level, amount } (amount 0 at Level 4), null without data
      */
-    function updateCountyColors() {
-        if (!state.svg) return;
+    function getNextLevelGap(areaCode) {
+        const wages = WageData.getWages(areaCode, state.occupation, state.payBasis);
+        const level = WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis);
+        if (!wages || level < 0) return null;
+        if (level >= 4) return { level: 4, amount: 0 };
+
+        const next = level + 1;
+        return { level: next, amount: roundPay(wages[`l${next}`] - state.salary) };
+    }
 
-        state.svg.selectAll('.county')
-            .transition()
-            .duration(300)
-            .attr('fill', d => getCountyColor(d));
+    /**
+     * Value plotted by the continuous modes (null without data)
+     */
+    function getMapModeValue(areaCode) {
+        if (state.mapMode === 'gap') return getNextLevelGap(areaCode)?.amount ?? null;
+
+        const wages = WageData.getWages(areaCode, state.occupation, state.payBasis);
+        return wages ? wages[`l${state.thresholdLevel}`] : null;
     }
 
     /**
-     * Handle mouse over county
+     * Whether an area has a measured COL index; estimated ones are fitted from OFLC wages,
+     * so comparing a salary scaled by them against the same wages would be circular
      */
-    function handleMouseOver(event, d) {
-        // Don't show hover tooltip if tooltip is locked
-        if (state.tooltipLocked) return;
+    function hasMeasuredCOL(areaCode) {
+        const info = SalaryCalculator.getCOLInfo(areaCode);
+        return Boolean(info && !info.estimated);
+    }
 
-        const fips = d.id;
-        const fipsState = fips.substring(0, 2);
-        const stateAbbr = WageData.fipsToState[fipsState];
+    /**
+     * Salary scaled to an area's cost of living, treating the entered salary as national-average pay
+     * @returns {number|null} null without a measured COL index
+     */
+    function getColAdjustedSalary(areaCode) {
+        if (!hasMeasuredCOL(areaCode)) return null;
+        return roundPay(state.salary * SalaryCalculator.getCOLIndex(areaCode) / 100);
+    }
 
-        // Don't show tooltip for counties outside selected state
-        if (state.selectedState && stateAbbr !== state.selectedState) {
-            return;
-        }
+    /**
+     * Level the COL-adjusted salary reaches in an area (-1 without a measured COL index)
+     */
+    function getColAdjustedLevel(areaCode) {
+        if (!hasMeasuredCOL(areaCode)) return -1;
+        return WageData.calculateWageLevel(getColAdjustedSalary(areaCode), areaCode, state.occupation, state.payBasis);
+    }
 
-        const tooltip = state.tooltip;
-        const stateName = WageData.stateNames[stateAbbr] || 'Unknown';
-        const countyName = d.properties?.name || `County ${fips}`;
+    /**
+     * Rebuild the sequential scale for the continuous modes from every area with data
+     */
+    function updateColorScale() {
+        state.colorScale = null;
+        state.scaleValues = [];
+        if (state.mapMode !== 'threshold' && state.mapMode !== 'gap') return;
+
+        const values = Object.keys(WageData.geography)
+            .map(getMapModeValue)
+            .filter(value => value > 0)
+            .sort(d3.ascending);
+        if (values.length === 0) return;
+
+        // Percentiles keep a handful of extreme areas from washing out the rest of the map
+        const domain = state.mapMode === 'gap'
+            ? [0, d3.quantileSorted(values, 0.95)]
+            : [d3.quantileSorted(values, 0.02), d3.quantileSorted(values, 0.98)];
+        const [low, high] = CONFIG.scaleColors[state.mapMode];
+
+        state.scaleValues = values;
+        state.colorScale = d3.scaleSequential(d3.interpolateLab(low, high)).domain(domain).clamp(true);
+    }
 
-        // Find OFLC area
-        const key1 = `${countyName} County|${stateAbbr}`;
-        const key2 = `${countyName}|${stateAbbr}`;
-        let areaCode = state.countyToArea[key1] || state.countyToArea[key2];
+    /**
+     * Continuous mode color for an area
+     */
+    function getScaleColor(areaCode) {
+        const value = getMapModeValue(areaCode);
+        if (value === null || !state.colorScale) return getPalette().colors.noData;
+        if (state.mapMode === 'gap' && value === 0) return getPalette().colors.level4; // Already at Level 4
+        return state.colorScale(value);
+    }
 
-        // If not found, try normalized lookup
-        if (!areaCode) {
-            const cleanName = countyName.toLowerCase()
-                .replace(/\./g, '')
-                .replace(/'/g, '')
-                .trim();
-            const keyNorm = `${cleanName}|${stateAbbr}`;
-            areaCode = state.countyToArea[keyNorm];
+    /**
+     * Set up the map mode switcher in the legend
+     */
+    function initMapModeControls() {
+        const modeSelect = document.getElementById('map-mode');
+        const levelSelect = document.getElementById('threshold-level');
+        if (!modeSelect || !levelSelect) return;
+
+        Object.entries(CONFIG.mapModes).forEach(([mode, label]) => modeSelect.add(new Option(label, mode)));
+        modeSelect.value = state.mapMode;
+        levelSelect.value = state.thresholdLevel;
+
+        const paletteSelect = document.getElementById('map-palette');
+        if (paletteSelect) {
+            Object.entries(CONFIG.palettes).forEach(([key, palette]) => paletteSelect.add(new Option(palette.label, key)));
+            paletteSelect.addEventListener('change', () => {
+                state.palette = paletteSelect.value;
+                applyPalette();
+                syncUrl();
+            });
         }
 
-        const wages = areaCode ? WageData.getWages(areaCode, state.occupation) : null;
-        const level = wages ? WageData.calculateWageLevel(state.salary, areaCode, state.occupation) : -1;
-        const areaInfo = areaCode ? WageData.getAreaInfo(areaCode) : null;
+        modeSelect.addEventListener('change', () => {
+            state.mapMode = modeSelect.value;
+            updateCountyColors();
+            refreshSelectedCountyDetails();
+            syncUrl();
+        });
+        levelSelect.addEventListener('change', () => {
+            state.thresholdLevel = parseInt(levelSelect.value) || 2;
+            updateCountyColors();
+            refreshSelectedCountyDetails();
+            syncUrl();
+        });
+    }
 
-        const levelLabels = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
-        const levelColors = [
-            CONFIG.colors.belowLevel1,
-            CONFIG.colors.level1,
-            CONFIG.colors.level2,
-            CONFIG.colors.level3,
-            CONFIG.colors.level4
-        ];
-        const levelStatus = ['Low priority', 'Low-Medium', 'Medium', 'Good chance', 'Best chance'];
+    /**
+     * Switch map, legend and level badge colors to the selected palette
+     */
+    function applyPalette() {
+        syncPaletteControls();
+        updateCountyColors();
+        refreshSelectedCountyDetails();
+    }
 
-        let content;
-        if (wages && level >= 0) {
-            content = `
-                <div class="tooltip-title">${countyName}, ${stateName}</div>
-                <div class="tooltip-content">
-                    <strong>Area:</strong> ${areaInfo?.areaName || 'N/A'}<br>
-                    <strong>Wage Thresholds:</strong><br>
-                    L1: $${wages.l1.toLocaleString()} | L2: $${wages.l2.toLocaleString()}<br>
-                    L3: $${wages.l3.toLocaleString()} | L4: $${wages.l4.toLocaleString()}
-                </div>
-                <div class="tooltip-level" style="background-color: ${levelColors[level]}; color: ${level <= 1 ? '#fff' : '#333'}; padding: 4px 8px; border-radius: 4px; margin-top: 8px;">
-                    ${levelLabels[level]} - ${levelStatus[level]}
-                </div>
-            `;
-        } else {
-            content = `
-                <div class="tooltip-title">${countyName}, ${stateName}</div>
-                <div class="tooltip-content">
-                    No wage data for this occupation in this area.
-                </div>
-            `;
+    /**
+     * Point the CSS level variables and the palette selector at state.palette
+     */
+    function syncPaletteControls() {
+        document.documentElement.dataset.palette = state.palette;
+        const paletteSelect = document.getElementById('map-palette');
+        if (paletteSelect) paletteSelect.value = state.palette;
+    }
+
+    /**
+     * Show the legend for the current map mode
+     */
+    function updateLegend() {
+        const mode = state.mapMode;
+        const continuous = mode === 'threshold' || mode === 'gap';
+        const toggle = (id, hidden) => document.getElementById(id)?.classList.toggle('hidden', hidden);
+
+        toggle('legend-levels', !(mode === 'col' || (mode === 'level' && !state.compareYear)));
+        toggle('legend-diff', !(mode === 'level' && state.compareYear));
+        toggle('legend-scale', !continuous);
+        toggle('legend-max-level', mode !== 'gap');
+        toggle('threshold-level', mode !== 'threshold');
+
+        const modeSelect = document.getElementById('map-mode');
+        if (modeSelect) modeSelect.value = mode;
+        const levelSelect = document.getElementById('threshold-level');
+        if (levelSelect) levelSelect.value = state.thresholdLevel;
+
+        if (continuous && state.colorScale) {
+            const [low, high] = CONFIG.scaleColors[mode];
+            const [min, max] = state.colorScale.domain();
+            document.getElementById('legend-gradient').style.background = `linear-gradient(to right, ${low}, ${high})`;
+            document.getElementById('legend-scale-min').textContent = formatPay(min);
+            document.getElementById('legend-scale-max').textContent = `${formatPay(max)}+`;
         }
 
-        tooltip.innerHTML = content;
-        tooltip.classList.add('visible');
+        const captions = {
+            level: '',
+            threshold: `Level ${state.thresholdLevel} threshold (${getPayPeriod().label.toLowerCase()})`,
+            gap: 'Raise needed to reach the next level',
+            col: 'Level if your salary scaled with local cost of living; gray areas have only an estimated COL index'
+        };
+        const caption = document.getElementById('legend-caption');
+        if (caption) {
+            caption.textContent = captions[mode];
+            caption.classList.toggle('hidden', !captions[mode]);
+        }
     }
 
     /**
-     * Handle mouse move
+     * Tooltip line for the current map mode (empty in level mode)
+     */
+    function buildMapModeHtml(areaCode) {
+        const levelNames = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+        const suffix = getPayPeriod().suffix;
+
+        if (state.mapMode === 'threshold') {
+            const value = getMapModeValue(areaCode);
+            if (!value || state.scaleValues.length === 0) return '';
+            const rank = Math.round(d3.bisectLeft(state.scaleValues, value) / state.scaleValues.length * 100);
+            return `<div class="tooltip-mode"><strong>Level ${state.thresholdLevel} threshold:</strong> ${formatPay(value)}${suffix}<br>Higher than ${rank}% of areas</div>`;
+        }
+
+        if (state.mapMode === 'gap') {
+            const gap = getNextLevelGap(areaCode);
+            if (!gap) return '';
+            if (gap.amount === 0) return '<div class="tooltip-mode">Already at the highest level (Level 4)</div>';
+            const percent = Math.round(gap.amount / state.salary * 100);
+            return `<div class="tooltip-mode"><strong>Gap to Level ${gap.level}:</strong> ${formatPay(gap.amount)}${suffix} (+${percent}%)</div>`;
+        }
+
+        if (state.mapMode === 'col') {
+            if (!hasMeasuredCOL(areaCode)) {
+                return '<div class="tooltip-mode">No measured cost of living index here; the estimate comes from OFLC wages, so it isn\'t used for this mode</div>';
+            }
+            const level = getColAdjustedLevel(areaCode);
+            if (level < 0) return '';
+            return `
+                <div class="tooltip-mode">
+                    <strong>COL index ${SalaryCalculator.formatCOLIndex(areaCode)}:</strong> ${formatPay(state.salary)} at national prices ≈
+                    ${formatPay(getColAdjustedSalary(areaCode))}${suffix} here → <strong>${levelNames[level]}</strong>
+                </div>
+            `;
+        }
+
+        return '';
+    }
+
+    /**
+     * Compare the level for the current salary in the selected year against the comparison year
+     * @returns {string|null} 'dropped', 'same', 'rose', or null when either year lacks data
+     */
+    function getLevelChange(areaCode) {
+        const level = WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis);
+        const previous = WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis, state.compareYear);
+        if (level < 0 || previous < 0) return null;
+        if (level < previous) return 'dropped';
+        if (level > previous) return 'rose';
+        return 'same';
+    }
+
+    /**
+     * Get diff mode color for an area
+     */
+    function getLevelChangeColor(areaCode) {
+        const change = getLevelChange(areaCode);
+        return change ? getPalette().diffColors[change] : getPalette().colors.noData;
+    }
+
+    /**
+     * Tooltip block with old vs new thresholds (empty outside diff mode)
+     */
+    function buildYearDiffHtml(areaCode) {
+        if (!state.compareYear) return '';
+
+        const current = WageData.getWages(areaCode, state.occupation, state.payBasis);
+        const previous = WageData.getWages(areaCode, state.occupation, state.payBasis, state.compareYear);
+        if (!current || !previous) {
+            return `<div class="tooltip-diff">No ${state.compareYear} data to compare.</div>`;
+        }
+
+        const levelNames = ['Below L1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+        const level = WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis);
+        const previousLevel = WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis, state.compareYear);
+        const change = getLevelChange(areaCode);
+        const changeLabels = { dropped: 'dropped', same: 'unchanged', rose: 'rose' };
+
+        const rows = [1, 2, 3, 4].map(n => {
+            const before = previous[`l${n}`];
+            const after = current[`l${n}`];
+            const pct = ((after - before) / before * 100).toFixed(1);
+            return `L${n}: ${formatPay(before)} → ${formatPay(after)} (${pct > 0 ? '+' : ''}${pct}%)`;
+        }).join('<br>');
+
+        return `
+            <div class="tooltip-diff">
+                <strong>${state.compareYear} → ${WageData.currentYear}:</strong><br>
+                ${rows}<br>
+                <span class="tooltip-diff-change" style="color: ${getPalette().diffColors[change]};">
+                    ${levelNames[previousLevel]} → ${levelNames[level]} (${changeLabels[change]})
+                </span>
+            </div>
+        `;
+    }
+
+    /**
+     * Update all county colors
+     */
+    function updateCountyColors() {
+        updateColorScale();
+        updateLegend();
+        updateCountyList();
+        updateCountyTable();
+        if (!state.svg) return;
+
+        state.svg.selectAll('.county')
+            .transition()
+            .duration(300)
+            .attr('fill', d => getCountyColor(d));
+    }
+
+    /**
+     * Handle mouse over county
+     */
+    function handleMouseOver(event, d) {
+        // Don't show hover tooltip if tooltip is locked
+        if (state.tooltipLocked) return;
+
+        const fips = String(d.id).padStart(5, '0');
+        const fipsState = fips.substring(0, 2);
+        const stateAbbr = WageData.fipsToState[fipsState];
+
+        // Don't show tooltip for counties outside selected state
+        if (state.selectedState && stateAbbr !== state.selectedState) {
+            return;
+        }
+
+        const tooltip = state.tooltip;
+        const stateName = WageData.stateNames[stateAbbr] || 'Unknown';
+
+        // Find OFLC area (and its county name, e.g. "Fairfax city" or a Connecticut planning region)
+        const countyArea = WageData.getCountyArea(fips);
+        const areaCode = countyArea ? countyArea.area : null;
+        const countyName = countyArea ? countyArea.county : (d.properties?.name || `County ${fips}`);
+
+        const wages = areaCode ? WageData.getWages(areaCode, state.occupation, state.payBasis) : null;
+        const level = wages ? WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis) : -1;
+        const areaInfo = areaCode ? WageData.getAreaInfo(areaCode) : null;
+
+        const levelLabels = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+        const { colors, levelText } = getPalette();
+        const levelColors = [colors.belowLevel1, colors.level1, colors.level2, colors.level3, colors.level4];
+
+        let content;
+        if (wages && level >= 0) {
+            content = `
+                <div class="tooltip-title">${countyName}, ${stateName}</div>
+                <div class="tooltip-content">
+                    <strong>Area:</strong> ${areaInfo?.areaName || 'N/A'}<br>
+                    <strong>Wage Thresholds (${getPayPeriod().label}):</strong><br>
+                    L1: ${formatPay(wages.l1)} | L2: ${formatPay(wages.l2)}<br>
+                    L3: ${formatPay(wages.l3)} | L4: ${formatPay(wages.l4)}
+                    ${buildYearDiffHtml(areaCode)}
+                    ${buildMapModeHtml(areaCode)}
+                </div>
+                <div class="tooltip-level" style="background-color: ${levelColors[level]}; color: ${levelText[level]}; padding: 4px 8px; border-radius: 4px; margin-top: 8px;">
+                    ${levelLabels[level]} - ${LotteryEstimator.formatProbability(level)}
+                </div>
+            `;
+        } else {
+            content = `
+                <div class="tooltip-title">${countyName}, ${stateName}</div>
+                <div class="tooltip-content">
+                    No wage data for this occupation in this area.
+                </div>
+            `;
+        }
+
+        tooltip.innerHTML = content;
+        tooltip.classList.add('visible');
+    }
+
+    /**
+     * Handle mouse move
      */
     function handleMouseMove(event) {
         // Don't move tooltip if locked
@@ -1223,34 +1763,39 @@
         const fips = String(d.id).padStart(5, '0');
         const fipsState = fips.substring(0, 2);
         const stateAbbr = WageData.fipsToState[fipsState];
-        const countyName = d.properties?.name || `County ${fips}`;
+        const countyArea = WageData.getCountyArea(fips);
 
-        const key1 = `${countyName} County|${stateAbbr}`;
-        const key2 = `${countyName}|${stateAbbr}`;
-        const areaCode = state.countyToArea[key1] || state.countyToArea[key2];
+        if (countyArea && stateAbbr) {
+            selectCounty(countyArea.county, stateAbbr, countyArea.area);
+        }
+    }
 
-        if (areaCode) {
-            // Update state search input
-            document.getElementById('state-filter').value = WageData.stateNames[stateAbbr] || stateAbbr;
-            document.getElementById('state-filter-value').value = stateAbbr;
-            state.selectedState = stateAbbr;
-            updateCountyDropdown();
+    /**
+     * Select a county as if it was clicked: sync the filters, zoom and lock its tooltip
+     */
+    function selectCounty(countyName, stateAbbr, areaCode) {
+        // Update state search input
+        document.getElementById('state-filter').value = WageData.stateNames[stateAbbr] || stateAbbr;
+        document.getElementById('state-filter-value').value = stateAbbr;
+        state.selectedState = stateAbbr;
+        updateCountyDropdown();
+        updateCountyTable();
 
-            const countySelect = document.getElementById('county-filter');
-            countySelect.value = `${countyName} County|${areaCode}`;
+        const countySelect = document.getElementById('county-filter');
+        countySelect.value = `${countyName}|${areaCode}`;
 
-            // Update Quick Search field to match
-            const quickSearch = document.getElementById('county-search');
-            if (quickSearch) {
-                quickSearch.value = `${countyName} County, ${stateAbbr}`;
-            }
+        // Update Quick Search field to match
+        const quickSearch = document.getElementById('county-search');
+        if (quickSearch) {
+            quickSearch.value = `${countyName}, ${stateAbbr}`;
+        }
 
-            // Zoom to state if not already
-            zoomToState(stateAbbr);
+        // Zoom to state if not already
+        zoomToState(stateAbbr);
 
-            // Highlight with locked tooltip
-            highlightCountyByArea(countyName, stateAbbr, areaCode, true);
-        }
+        // Highlight with locked tooltip
+        highlightCountyByArea(countyName, stateAbbr, areaCode, true);
+        syncUrl();
     }
 
     /**
@@ -1264,16 +1809,39 @@
             if (value > 0) {
                 state.salary = value;
                 updateCountyColors();
+                syncUrl({ replace: true });
             }
         }, 300));
 
         salaryInput.addEventListener('blur', (e) => {
             const value = parseSalary(e.target.value);
             if (value > 0) {
-                e.target.value = value.toLocaleString();
+                e.target.value = formatAmount(value);
             }
         });
 
+        // Pay period: convert the entered amount so the offer stays equivalent
+        const payPeriodSelect = document.getElementById('pay-period');
+        const hoursInput = document.getElementById('hours-per-week');
+        if (payPeriodSelect && hoursInput) {
+            payPeriodSelect.addEventListener('change', (e) => {
+                const hourlyRate = WageData.toHourlyRate(state.salary, state.payBasis);
+                state.payBasis = { ...state.payBasis, period: e.target.value };
+                state.salary = roundPay(WageData.fromHourlyRate(hourlyRate, state.payBasis));
+                salaryInput.value = formatAmount(state.salary);
+                applyPayBasisChange();
+            });
+
+            // Hours per week: the entered amount stays as offered, only the hourly rate changes
+            hoursInput.addEventListener('input', debounce((e) => {
+                const hours = parseFloat(e.target.value);
+                if (hours > 0 && hours <= 168) {
+                    state.payBasis = { ...state.payBasis, hoursPerWeek: hours };
+                    applyPayBasisChange();
+                }
+            }, 300));
+        }
+
         // Note: Occupation input is handled in initFilters()
 
         // Handle window resize
@@ -1291,12 +1859,76 @@
     }
 
     /**
-     * Parse salary string to number
+     * Parse salary string to number (cents are kept for hourly rates)
      */
     function parseSalary(str) {
         if (!str) return 0;
-        const cleaned = str.replace(/[$,\s]/g, '');
-        return parseInt(cleaned, 10) || 0;
+        const cleaned = String(str).replace(/[$,\s]/g, '');
+        return Math.round((parseFloat(cleaned) || 0) * 100) / 100;
+    }
+
+    /**
+     * Get the selected pay period definition
+     */
+    function getPayPeriod() {
+        return WageData.payPeriods[state.payBasis.period] || WageData.payPeriods.annual;
+    }
+
+    /**
+     * Round pay to the precision of the selected period
+     */
+    function roundPay(amount) {
+        return state.payBasis.period === 'hourly' ? Math.round(amount * 100) / 100 : Math.round(amount);
+    }
+
+    /**
+     * Format an amount without currency sign (cents shown for hourly rates)
+     */
+    function formatAmount(amount) {
+        const digits = state.payBasis.period === 'hourly' ? 2 : 0;
+        return roundPay(amount).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+
+    /**
+     * Format an amount in the selected pay period
+     */
+    function formatPay(amount) {
+        return `$${formatAmount(amount)}`;
+    }
+
+    /**
+     * Note appended to the salary when the role is not full-time
+     */
+    function formatHoursNote() {
+        return state.payBasis.hoursPerWeek !== 40 ? ` (${state.payBasis.hoursPerWeek} hrs/wk)` : '';
+    }
+
+    /**
+     * Sync pay basis controls with state
+     */
+    function updatePayBasisInputs() {
+        const payPeriodSelect = document.getElementById('pay-period');
+        const hoursInput = document.getElementById('hours-per-week');
+        if (payPeriodSelect) payPeriodSelect.value = state.payBasis.period;
+        if (hoursInput) {
+            hoursInput.value = state.payBasis.hoursPerWeek;
+            // Hourly rates compare directly; hours only matter for salaried periods
+            hoursInput.disabled = state.payBasis.period === 'hourly';
+        }
+    }
+
+    /**
+     * Refresh everything that shows thresholds after the pay period or hours change
+     */
+    function applyPayBasisChange() {
+        updatePayBasisInputs();
+        updateCountyColors();
+        updateComparison();
+        updateSalaryGaps();
+        updateReverseSearch();
+        updateWorksites();
+        refreshSelectedCountyDetails();
+        syncUrl();
     }
 
     /**
@@ -1340,9 +1972,10 @@
         locB.value = '41860';
 
         // Event Listeners
-        locA.addEventListener('change', updateComparison);
-        locB.addEventListener('change', updateComparison);
+        locA.addEventListener('change', () => { updateComparison(); syncUrl(); });
+        locB.addEventListener('change', () => { updateComparison(); syncUrl(); });
         document.getElementById('salary').addEventListener('input', updateComparison);
+        initTakeHomeControls();
 
         // Show section
         compSection.classList.remove('hidden');
@@ -1364,23 +1997,26 @@
 
         updateNode('node-a', locA, salary, occupation);
         updateNode('node-b', locB, salary, occupation);
+        updateTakeHomeComparison(locA, locB, salary);
     }
 
     function updateNode(nodeId, areaCode, salary, occupation) {
         const container = document.getElementById(nodeId);
         const node = container.querySelector('.comp-node');
         const label = container.querySelector('.comp-level-label');
+        const odds = container.querySelector('.comp-odds');
         const text = container.querySelector('.comp-hike-text');
 
         if (!areaCode) {
             node.className = 'comp-node no-data';
             label.textContent = 'Select Area';
+            odds.textContent = '';
             text.textContent = 'Please select a location to see comparisons.';
             return;
         }
 
-        const level = WageData.calculateWageLevel(salary, areaCode, occupation);
-        const wages = WageData.getWages(areaCode, occupation);
+        const level = WageData.calculateWageLevel(salary, areaCode, occupation, state.payBasis);
+        const wages = WageData.getWages(areaCode, occupation, state.payBasis);
 
         // Reset classes
         node.className = 'comp-node';
@@ -1391,6 +2027,7 @@
         // Label
         const levelNames = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
         label.textContent = (level >= 0 && level <= 4) ? levelNames[level] : 'No Data';
+        odds.textContent = level >= 0 ? LotteryEstimator.formatProbability(level) : '';
 
         if (!wages) {
             text.textContent = 'No wage data available for this occupation.';
@@ -1412,27 +2049,257 @@
             return;
         }
 
-        const diff = targetWage - salary;
+        const diff = roundPay(targetWage - salary);
         if (diff <= 0) {
             text.textContent = 'You meet the requirements for this level.';
         } else {
             const percent = Math.round((diff / salary) * 100);
+            const suffix = getPayPeriod().suffix;
 
             // Handle edge cases where salary is very low (e.g. user typing)
-            if (salary < 10000) {
-                // If salary is unrealistically low (< $10k), showing % is confusing (e.g. 10000%)
-                text.innerHTML = `Need <strong>$${diff.toLocaleString()} hike</strong> to reach <strong>Level ${targetLevel}</strong> in this location.`;
+            if (WageData.toHourlyRate(salary, state.payBasis) * WageData.HOURS_PER_YEAR < 10000) {
+                // If salary is unrealistically low (< $10k/yr), showing % is confusing (e.g. 10000%)
+                text.innerHTML = `Need <strong>${formatPay(diff)}${suffix} hike</strong> to reach <strong>Level ${targetLevel}</strong> in this location.`;
             } else {
                 const percentStr = percent.toLocaleString();
-                text.innerHTML = `Need <strong>${percentStr}% hike</strong> ($${diff.toLocaleString()}) to reach <strong>Level ${targetLevel}</strong> in this location.`;
+                text.innerHTML = `Need <strong>${percentStr}% hike</strong> (${formatPay(diff)}${suffix}) to reach <strong>Level ${targetLevel}</strong> in this location.`;
             }
         }
     }
 
+    /**
+     * Populate the tax options of the take-home comparison
+     */
+    function initTakeHomeControls() {
+        const yearSelect = document.getElementById('comp-tax-year');
+        const filingSelect = document.getElementById('comp-filing-status');
+        if (!yearSelect || !filingSelect) return;
+
+        TaxTables.years.forEach(year => yearSelect.add(new Option(year, year)));
+        yearSelect.value = TaxTables.DEFAULT_YEAR;
+        Object.entries(TaxTables.FILING_STATUSES).forEach(([id, label]) => filingSelect.add(new Option(label, id)));
+
+        ['comp-tax-year', 'comp-filing-status', 'comp-residence-a', 'comp-residence-b'].forEach(id => {
+            document.getElementById(id).addEventListener('change', updateComparison);
+        });
+        ['comp-401k', 'comp-hsa'].forEach(id => {
+            document.getElementById(id).addEventListener('input', debounce(updateComparison, 300));
+        });
+    }
+
+    /**
+     * List the states an area spans and their local income taxes as "ST|LOCALITY" options,
+     * keeping the current choice when still valid
+     */
+    function updateResidenceSelect(select, areaCode, taxYear) {
+        const key = `${areaCode}|${taxYear}`;
+        if (select.dataset.key === key) return;
+
+        const previous = select.value;
+        select.innerHTML = '';
+        WageData.getAreaStates(areaCode).forEach(stateAbbr => {
+            const stateName = WageData.stateNames[stateAbbr] || stateAbbr;
+            select.add(new Option(stateName, `${stateAbbr}|`));
+            TaxTables.getLocalities(stateAbbr, taxYear).forEach(locality => {
+                select.add(new Option(`${stateName} – ${locality.name}`, `${stateAbbr}|${locality.id}`));
+            });
+        });
+        if (Array.from(select.options).some(opt => opt.value === previous)) select.value = previous;
+        select.dataset.key = key;
+    }
+
+    /**
+     * Split a residence option into { state, locality }
+     */
+    function parseResidence(value) {
+        const [stateAbbr, locality] = (value || '').split('|');
+        return { state: stateAbbr || null, locality: locality || '' };
+    }
+
+    /**
+     * Read the tax options of the take-home comparison
+     */
+    function getTakeHomeOptions() {
+        return {
+            taxYear: Number(document.getElementById('comp-tax-year').value) || TaxTables.DEFAULT_YEAR,
+            filingStatus: document.getElementById('comp-filing-status').value || 'single',
+            k401: parseSalary(document.getElementById('comp-401k').value),
+            hsa: parseSalary(document.getElementById('comp-hsa').value)
+        };
+    }
+
+    /**
+     * Convert pay in the selected period to an annual amount (taxes are annual)
+     */
+    function toAnnualPay(amount) {
+        return WageData.toHourlyRate(amount, state.payBasis) * state.payBasis.hoursPerWeek * 52;
+    }
+
+    /**
+     * Convert an annual amount back to the selected pay period
+     */
+    function fromAnnualPay(annual) {
+        return WageData.fromHourlyRate(annual / (state.payBasis.hoursPerWeek * 52), state.payBasis);
+    }
+
+    /**
+     * Side-by-side gross vs net pay, taxes and purchasing power for the two compared areas
+     */
+    function updateTakeHomeComparison(areaA, areaB, salary) {
+        const panel = document.getElementById('comp-take-home');
+        if (!panel) return;
+
+        const geoA = WageData.geography[areaA];
+        const geoB = WageData.geography[areaB];
+        panel.classList.toggle('hidden', !geoA || !geoB);
+        if (!geoA || !geoB) return;
+
+        const options = getTakeHomeOptions();
+        const residenceA = document.getElementById('comp-residence-a');
+        const residenceB = document.getElementById('comp-residence-b');
+        updateResidenceSelect(residenceA, areaA, options.taxYear);
+        updateResidenceSelect(residenceB, areaB, options.taxYear);
+        const homeA = parseResidence(residenceA.value);
+        const homeB = parseResidence(residenceB.value);
+        options.localities = [homeA.locality, homeB.locality];
+
+        const annual = toAnnualPay(salary);
+        const result = SalaryCalculator.compareTakeHome(annual, areaA, homeA.state, areaB, homeB.state, options);
+        const equivalent = SalaryCalculator.findEquivalentSalary(annual, areaA, homeA.state, areaB, homeB.state, options);
+
+        // Level the matching salary would reach in B, in the user's pay period
+        const equivalentPay = roundPay(fromAnnualPay(equivalent));
+        const equivalentLevel = WageData.calculateWageLevel(equivalentPay, areaB, state.occupation, state.payBasis);
+        const levelNames = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+        const levelText = equivalentLevel >= 0 ? levelNames[equivalentLevel] : 'no wage data';
+
+        const takeHomeDiff = result.location2.takeHome - result.location1.takeHome;
+        const sign = (value) => (value > 0 ? '+' : value < 0 ? '−' : '');
+        const suffix = getPayPeriod().suffix;
+
+        document.getElementById('comp-col-metrics').innerHTML = `
+            <div class="col-metric">
+                <div class="col-metric-value">${sign(takeHomeDiff)}$${Math.abs(takeHomeDiff).toLocaleString()}</div>
+                <div class="col-metric-label">Take-home in B vs A (per year)</div>
+            </div>
+            <div class="col-metric">
+                <div class="col-metric-value">${sign(result.difference)}${Math.abs(result.percentDifference)}%</div>
+                <div class="col-metric-label">Purchasing power in B vs A</div>
+            </div>
+            <div class="col-metric">
+                <div class="col-metric-value">${formatPay(equivalentPay)}${suffix}</div>
+                <div class="col-metric-label">Salary needed in B to match A</div>
+                <div class="col-metric-note">Would be <strong>${levelText}</strong> in B</div>
+            </div>
+        `;
+
+        document.getElementById('comp-tax-breakdowns').innerHTML =
+            buildTaxBreakdownHtml(`A: ${geoA.areaName}`, areaA, result.location1) +
+            buildTaxBreakdownHtml(`B: ${geoB.areaName}`, areaB, result.location2);
+    }
+
+    /**
+     * Tax breakdown card for one location (annual amounts)
+     */
+    function buildTaxBreakdownHtml(title, areaCode, result) {
+        const money = (value) => `$${Math.round(value).toLocaleString()}`;
+        const row = (label, value, className = '') =>
+            `<div class="tax-row"><span class="tax-row-label">${label}</span><span class="tax-row-value ${className}">${value}</span></div>`;
+        const pretax = result.pretax.k401 + result.pretax.hsa;
+
+        return `
+            <div class="tax-breakdown">
+                <h4>${title}</h4>
+                ${row('Gross pay', money(result.gross))}
+                ${pretax > 0 ? row('Pre-tax 401(k) / HSA', `−${money(pretax)}`) : ''}
+                ${row('Federal income tax', `−${money(result.federalTax)}`, 'negative')}
+                ${row('State income tax', `−${money(result.stateTax)}`, 'negative')}
+                ${result.locality ? row(`Local tax (${result.locality})`, `−${money(result.localTax)}`, 'negative') : ''}
+                ${row('Social Security', `−${money(result.socialSecurity)}`, 'negative')}
+                ${row('Medicare', `−${money(result.medicare)}`, 'negative')}
+                ${row('Total tax', `${money(result.totalTax)} (${result.effectiveRate}%)`)}
+                <div class="tax-row total"><span class="tax-row-label">Take-home pay</span><span class="tax-row-value positive">${money(result.takeHome)}</span></div>
+                <div class="tax-row" title="${SalaryCalculator.describeCOLSource(areaCode)}"><span class="tax-row-label">Cost of living index</span><span class="tax-row-value ${SalaryCalculator.getCOLInfo(areaCode)?.estimated ? 'col-estimated' : ''}">${SalaryCalculator.formatCOLIndex(areaCode)}</span></div>
+                ${row('Purchasing power', money(result.purchasingPower))}
+            </div>
+        `;
+    }
+
+    /**
+     * Initialize lottery assumption inputs used by the selection probability estimates
+     */
+    function initLotterySettings() {
+        const fields = {
+            'lottery-reg-1': cfg => cfg.registrations[1],
+            'lottery-reg-2': cfg => cfg.registrations[2],
+            'lottery-reg-3': cfg => cfg.registrations[3],
+            'lottery-reg-4': cfg => cfg.registrations[4],
+            'lottery-regular-cap': cfg => cfg.regularCap,
+            'lottery-masters-cap': cfg => cfg.mastersCap,
+            'lottery-masters-share': cfg => Math.round(cfg.mastersShare * 100)
+        };
+        const mastersCheckbox = document.getElementById('lottery-masters');
+        const resetBtn = document.getElementById('lottery-reset');
+
+        const fillInputs = (cfg) => {
+            Object.entries(fields).forEach(([id, getValue]) => {
+                const input = document.getElementById(id);
+                if (input) input.value = getValue(cfg);
+            });
+            if (mastersCheckbox) mastersCheckbox.checked = cfg.mastersEligible;
+        };
+
+        const readInput = (id) => Math.max(0, parseFloat(document.getElementById(id)?.value) || 0);
+
+        Object.keys(fields).forEach(id => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('input', debounce(() => {
+                LotteryEstimator.setConfig({
+                    registrations: {
+                        1: readInput('lottery-reg-1'),
+                        2: readInput('lottery-reg-2'),
+                        3: readInput('lottery-reg-3'),
+                        4: readInput('lottery-reg-4')
+                    },
+                    regularCap: readInput('lottery-regular-cap'),
+                    mastersCap: readInput('lottery-masters-cap'),
+                    mastersShare: Math.min(100, readInput('lottery-masters-share')) / 100
+                });
+            }, 300));
+        });
+
+        if (mastersCheckbox) {
+            mastersCheckbox.addEventListener('change', () => {
+                LotteryEstimator.setConfig({ mastersEligible: mastersCheckbox.checked });
+                syncUrl();
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                LotteryEstimator.resetConfig();
+                fillInputs(LotteryEstimator.getConfig());
+            });
+        }
+
+        // Everything that shows a selection chance re-renders when assumptions change
+        LotteryEstimator.onChange((cfg) => {
+            if (mastersCheckbox) mastersCheckbox.checked = cfg.mastersEligible;
+            updateComparison();
+            refreshSelectedCountyDetails();
+            MultiCompare.updateAll();
+        });
+
+        fillInputs(LotteryEstimator.getConfig());
+    }
+
     /**
      * Initialize Salary Calculator
      */
     function initSalaryCalculator() {
+        initWageWorksheet();
+        initNegotiation();
         updateSalaryGaps();
 
         // Update when salary or occupation changes (NOT county - that's handled by map)
@@ -1450,7 +2317,7 @@
         // Use currently highlighted area from map
         const areaCode = state.currentAreaCode || '41860'; // Default to San Francisco
 
-        const wages = WageData.getWages(areaCode, state.occupation);
+        const wages = WageData.getWages(areaCode, state.occupation, state.payBasis);
 
         // Update header text in the new span
         const headerLocation = document.getElementById('salary-header-county');
@@ -1462,6 +2329,10 @@
             }
         }
 
+        updateWorksheetResult(areaCode);
+        updateGrowthProjection(areaCode);
+        updateNegotiation(areaCode);
+
         if (!wages) {
             container.innerHTML = '<p style="text-align: center; color: #9ca3af;">Click on a county on the map to see salary gaps</p>';
             return;
@@ -1470,7 +2341,7 @@
         const gapData = SalaryCalculator.calculateSalaryGaps(state.salary, wages);
         if (!gapData) return;
 
-        const levelColors = ['#dc2626', '#f97316', '#facc15', '#22c56e', '#15803d'];
+        const levelColors = ['var(--level-below)', 'var(--level-1)', 'var(--level-2)', 'var(--level-3)', 'var(--level-4)'];
         const levelLabels = ['Level 1', 'Level 2', 'Level 3', 'Level 4'];
 
         let html = '<div class="salary-gaps">';
@@ -1492,10 +2363,10 @@
                         <span class="gap-card-status">${isAchieved ? '✅' : '🎯'}</span>
                     </div>
                     <div class="gap-card-amount">
-                        ${gap > 0 ? `+$${gap.toLocaleString()}` : 'Achieved'}
+                        ${gap > 0 ? `+${formatPay(gap)}` : 'Achieved'}
                     </div>
                     <div class="gap-card-label">
-                        Threshold: $${threshold.toLocaleString()}
+                        Threshold: ${formatPay(threshold)}${getPayPeriod().suffix}
                     </div>
                     <div class="gap-progress">
                         <div class="gap-progress-bar" style="width: ${progress}%; background-color: ${levelColors[index]};"></div>
@@ -1508,6 +2379,157 @@
         container.innerHTML = html;
     }
 
+    /**
+     * Set up the job requirements worksheet inputs
+     */
+    function initWageWorksheet() {
+        const education = document.getElementById('worksheet-education');
+        education.innerHTML = '<option value="">Typical for occupation</option>' +
+            WageWorksheet.EDUCATION_LEVELS.map(level => `<option value="${level}">${level}</option>`).join('');
+
+        ['worksheet-experience', 'worksheet-education', 'worksheet-skills', 'worksheet-supervision'].forEach(id => {
+            const input = document.getElementById(id);
+            input.addEventListener(input.tagName === 'SELECT' || input.type === 'checkbox' ? 'change' : 'input',
+                () => updateWorksheetResult(state.currentAreaCode || '41860'));
+        });
+    }
+
+    /**
+     * Set up the offer negotiation inputs and copy button
+     */
+    function initNegotiation() {
+        const refresh = debounce(() => updateNegotiation(state.currentAreaCode || '41860'), 300);
+        ['negotiation-base', 'negotiation-sign-on', 'negotiation-bonus', 'negotiation-equity'].forEach(id => {
+            document.getElementById(id).addEventListener('input', refresh);
+        });
+        // Take-home change follows the comparison's tax settings
+        ['comp-tax-year', 'comp-filing-status'].forEach(id => {
+            document.getElementById(id).addEventListener('change', refresh);
+        });
+
+        document.getElementById('negotiation-result').addEventListener('click', async (e) => {
+            if (e.target.id !== 'negotiation-copy') return;
+            const summary = document.getElementById('negotiation-summary');
+            const copied = await OfferNegotiation.copy(summary.value, summary);
+            document.getElementById('negotiation-copy-status').textContent = copied ? 'Copied' : 'Select the text and copy it manually';
+        });
+    }
+
+    /**
+     * Base salary targets for each level in the calculator's area; the base offer defaults to the salary
+     * @param {string} areaCode - Area used by the salary calculator
+     */
+    function updateNegotiation(areaCode) {
+        const container = document.getElementById('negotiation-result');
+        if (!container) return;
+
+        const base = parseSalary(document.getElementById('negotiation-base').value) || state.salary;
+        const wages = WageData.getWages(areaCode, state.occupation, state.payBasis);
+        const areaInfo = WageData.getAreaInfo(areaCode);
+        const occupation = WageData.getOccupation(state.occupation);
+        const { taxYear, filingStatus } = getTakeHomeOptions();
+
+        // Tax the selected county's state and locality (a New Jersey county in the New York metro,
+        // New York City's local tax); without a selected county, the area's principal state
+        const county = areaCode === state.currentAreaCode ? state.selectedCounty : null;
+        const stateAbbr = county ? state.currentCountyState : WageData.getAreaStates(areaCode)[0];
+        const locality = county ? TaxTables.findLocalityForCounty(county, stateAbbr, taxYear) : null;
+        const localityInfo = locality ? TaxTables.getLocality(locality, filingStatus, taxYear) : null;
+
+        const targets = SalaryCalculator.calculateRaiseTargets(base, wages, stateAbbr, {
+            taxYear,
+            filingStatus,
+            locality,
+            annualFactor: toAnnualPay(1),
+            precision: state.payBasis.period === 'hourly' ? 2 : 0
+        });
+
+        OfferNegotiation.render(container, targets, {
+            signOn: parseSalary(document.getElementById('negotiation-sign-on').value),
+            bonus: parseSalary(document.getElementById('negotiation-bonus').value),
+            equity: parseSalary(document.getElementById('negotiation-equity').value)
+        }, {
+            occupation: occupation ? occupation.title : state.occupation,
+            socCode: state.occupation,
+            areaName: areaInfo ? areaInfo.areaName : areaCode,
+            wageYear: WageData.currentYear,
+            annualFactor: toAnnualPay(1),
+            taxLocation: `${WageData.stateNames[stateAbbr] || stateAbbr}${localityInfo ? ` and ${localityInfo.name}` : ''}`
+        }, {
+            pay: formatPay,
+            suffix: `${getPayPeriod().suffix}${formatHoursNote()}`
+        });
+    }
+
+    /**
+     * Compare the level the job requirements call for with the level the salary reaches
+     * @param {string} areaCode - Area used by the salary calculator
+     */
+    function updateWorksheetResult(areaCode) {
+        const container = document.getElementById('worksheet-result');
+        if (!container) return;
+
+        const occupation = WageData.getOccupation(state.occupation);
+        if (!occupation || !occupation.jobZone) {
+            container.innerHTML = '<p class="worksheet-empty">No job zone data for this occupation</p>';
+            return;
+        }
+
+        const typicalOption = document.querySelector('#worksheet-education option[value=""]');
+        typicalOption.textContent = `Typical for occupation (${occupation.education || 'not listed'})`;
+
+        const years = parseFloat(document.getElementById('worksheet-experience').value) || 0;
+        const result = WageWorksheet.evaluate(occupation, {
+            experienceMonths: Math.round(Math.max(0, years) * 12),
+            education: document.getElementById('worksheet-education').value,
+            specialSkills: document.getElementById('worksheet-skills').checked,
+            supervision: document.getElementById('worksheet-supervision').checked
+        });
+
+        const wages = WageData.getWages(areaCode, state.occupation, state.payBasis);
+        const salaryLevel = WageData.calculateWageLevel(state.salary, areaCode, state.occupation, state.payBasis);
+        const salaryLabel = salaryLevel < 0 ? 'No data' : salaryLevel === 0 ? 'Below Level 1' : `Level ${salaryLevel}`;
+
+        let flag = '';
+        if (wages && salaryLevel >= 0) {
+            const required = wages[`l${result.level}`];
+            flag = salaryLevel >= result.level
+                ? `<p class="worksheet-flag meets">✅ The offered salary meets the Level ${result.level} wage these requirements call for.</p>`
+                : `<p class="worksheet-flag short">⚠️ These requirements call for Level ${result.level}: the LCA must pay at least
+                    ${formatPay(required)}${getPayPeriod().suffix}, ${formatPay(required - state.salary)} more than offered.</p>`;
+        }
+
+        container.innerHTML = `
+            <div class="worksheet-summary">
+                <div class="worksheet-level">
+                    <span class="worksheet-level-label">Job requires</span>
+                    <strong>Level ${result.level}</strong>
+                </div>
+                <div class="worksheet-level">
+                    <span class="worksheet-level-label">Your salary reaches</span>
+                    <strong>${salaryLabel}</strong>
+                </div>
+            </div>
+            ${flag}
+            <table class="worksheet-steps">
+                <tbody>
+                    <tr><td>Starting level</td><td>Level 1</td><td></td></tr>
+                    ${result.steps.map(step => `
+                        <tr>
+                            <td>${step.label}</td>
+                            <td>${step.note}</td>
+                            <td class="worksheet-points">+${step.points}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${result.capped ? '<p class="worksheet-note">Points beyond Level 4 have no further effect.</p>' : ''}
+            ${result.appendixAExempt ? `<p class="worksheet-note">ℹ️ ${occupation.title} is an Appendix A occupation: requiring up to a
+                Master's degree doesn't raise its wage level.</p>` : ''}
+            <p class="worksheet-note">Estimate only: DOL and your attorney make the final wage level determination.</p>
+        `;
+    }
+
     /**
      * Initialize Multi-Location Comparison
      */
@@ -1707,8 +2729,15 @@
 
 
         // Update auto-update logic to use updateAll
-        multiSalary.addEventListener('input', debounce(() => MultiCompare.updateAll(), 300));
-        multiOccupation.addEventListener('change', () => MultiCompare.updateAll());
+        multiSalary.addEventListener('input', debounce(() => {
+            MultiCompare.updateAll();
+            syncUrl({ replace: true });
+        }, 300));
+        multiOccupation.addEventListener('change', async () => {
+            await loadOccupationData([multiOccupation.value]);
+            MultiCompare.updateAll();
+            syncUrl();
+        });
 
         // Add location button handler
         addBtn.addEventListener('click', () => {
@@ -1749,6 +2778,604 @@
         MultiCompare.init();
     }
 
+    /**
+     * Initialize the "where can I reach Level N?" reverse search
+     */
+    function initReverseSearch() {
+        const stateSelect = document.getElementById('reverse-state');
+        const sizeSelect = document.getElementById('reverse-size');
+        if (!stateSelect || !sizeSelect) return;
+
+        Object.entries(WageData.stateNames)
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .forEach(([abbr, name]) => stateSelect.add(new Option(name, abbr)));
+
+        // Population bands only when the data pipeline had Census estimates
+        const hasPopulation = ReverseSearch.hasPopulation();
+        Object.entries(ReverseSearch.SIZE_FILTERS).forEach(([key, filter]) => {
+            if (!filter.population || hasPopulation) sizeSelect.add(new Option(filter.label, key));
+        });
+        document.getElementById('reverse-size-note')?.classList.toggle('hidden', hasPopulation);
+        if (!hasPopulation) {
+            // Metro vs nonmetro comes from the area name, not a population count
+            document.getElementById('reverse-size-label').textContent = 'Area type';
+            sizeSelect.options[0].text = 'Any type';
+        }
+
+        const applyFilters = () => {
+            const maxCol = parseFloat(document.getElementById('reverse-max-col').value);
+            ReverseSearch.setFilters({
+                state: stateSelect.value,
+                maxCol: maxCol > 0 ? maxCol : null,
+                size: sizeSelect.value
+            });
+            updateReverseSearch();
+        };
+
+        document.getElementById('reverse-level').addEventListener('change', updateReverseSearch);
+        stateSelect.addEventListener('change', applyFilters);
+        sizeSelect.addEventListener('change', applyFilters);
+        document.getElementById('reverse-max-col').addEventListener('input', debounce(applyFilters, 300));
+        document.getElementById('salary').addEventListener('input', debounce(updateReverseSearch, 300));
+
+        const results = document.getElementById('reverse-results');
+        ReverseSearch.bindResults(results);
+        ReverseSearch.onSelect(selectArea);
+
+        updateReverseSearch();
+    }
+
+    /**
+     * Re-rank areas for the current salary, occupation, pay basis and wage year
+     */
+    function updateReverseSearch() {
+        const container = document.getElementById('reverse-results');
+        if (!container || !state.occupation || !(state.salary > 0)) return;
+
+        ReverseSearch.render(container, {
+            salary: state.salary,
+            socCode: state.occupation,
+            targetLevel: parseInt(document.getElementById('reverse-level').value) || 3,
+            payBasis: state.payBasis
+        }, {
+            pay: formatPay,
+            suffix: `${getPayPeriod().suffix}${formatHoursNote()}`
+        });
+    }
+
+    /**
+     * ARIA combobox semantics and arrow key navigation for the search autocompletes, plus the county list
+     */
+    function initKeyboardAccess() {
+        [
+            ['occupation', 'occupation-results'],
+            ['state-filter', 'state-results'],
+            ['county-search', 'search-results'],
+            ['multi-state-input', 'multi-state-results'],
+            ['multi-county-input', 'multi-county-results']
+        ].forEach(([inputId, listId]) => {
+            A11y.attachCombobox(document.getElementById(inputId), document.getElementById(listId));
+        });
+
+        const panel = document.getElementById('county-list-panel');
+        const list = document.getElementById('county-list');
+        if (!panel || !list) return;
+
+        panel.addEventListener('toggle', updateCountyList);
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.county-list-item');
+            if (!item) return;
+            if (item.dataset.county) {
+                selectCounty(item.dataset.county, state.selectedState, item.dataset.area);
+                updateCountyList();
+                list.querySelector('.county-list-item.selected')?.focus();
+            } else if (item.dataset.state) {
+                selectState(item.dataset.state);
+                list.querySelector('.county-list-item')?.focus();
+            } else {
+                document.getElementById('state-clear').click();
+                list.querySelector('.county-list-item')?.focus();
+            }
+        });
+    }
+
+    /**
+     * Keyboard-focusable alternative to the map: the states, or the counties of the selected state
+     * with their level (rendered only while the panel is open)
+     */
+    function updateCountyList() {
+        const panel = document.getElementById('county-list-panel');
+        const list = document.getElementById('county-list');
+        if (!panel || !list || !panel.open) return;
+
+        const levelLabels = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+        const levelVars = ['below', '1', '2', '3', '4'];
+
+        if (!state.selectedState) {
+            const states = Object.keys(state.stateCounties)
+                .map(abbr => ({ abbr, name: WageData.stateNames[abbr] || abbr }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            list.innerHTML = `
+                <p class="county-list-hint">Pick a state to list its counties. Arrow keys move between items.</p>
+                <ul class="county-list-items" aria-label="States">
+                    ${states.map(s => `<li><button type="button" class="county-list-item" data-state="${s.abbr}">${s.name}</button></li>`).join('')}
+                </ul>
+            `;
+            A11y.bindListNavigation(list, '.county-list-item');
+            return;
+        }
+
+        const stateName = WageData.stateNames[state.selectedState] || state.selectedState;
+        const counties = state.stateCounties[state.selectedState] || [];
+        list.innerHTML = `
+            <p class="county-list-hint">${counties.length} counties in ${stateName}. Arrow keys move between counties; Enter selects one.</p>
+            <ul class="county-list-items" aria-label="Counties in ${stateName}">
+                <li><button type="button" class="county-list-item county-list-back">← All states</button></li>
+                ${counties.map(c => {
+                    const level = WageData.calculateWageLevel(state.salary, c.area, state.occupation, state.payBasis);
+                    const label = level >= 0 ? levelLabels[level] : 'No data';
+                    const selected = c.county === state.selectedCounty;
+                    return `
+                        <li>
+                            <button type="button" class="county-list-item${selected ? ' selected' : ''}" data-county="${c.county}"
+                                data-area="${c.area}" aria-current="${selected ? 'true' : 'false'}">
+                                <span class="county-list-swatch" style="background: ${level >= 0 ? `var(--level-${levelVars[level]})` : 'var(--no-data)'};"></span>
+                                <span class="county-list-name">${c.county}</span>
+                                <span class="county-list-level">${label}</span>
+                            </button>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+        A11y.bindListNavigation(list, '.county-list-item');
+    }
+
+    /**
+     * Set up the county table; clicking a county selects it like a map click
+     */
+    function initCountyTable() {
+        const panel = document.getElementById('county-table-panel');
+        if (!panel) return;
+
+        CountyTable.init(document.getElementById('county-table'));
+        CountyTable.onSelect(row => selectCounty(row.county, row.state, row.area));
+        panel.addEventListener('toggle', updateCountyTable);
+    }
+
+    /**
+     * Show the county table in place of a map that couldn't load
+     */
+    function openCountyTable() {
+        const panel = document.getElementById('county-table-panel');
+        if (panel) panel.open = true;
+    }
+
+    /**
+     * Fill the county table with the selected state's counties, or every county without a state filter
+     * (rendered only while the panel is open)
+     */
+    function updateCountyTable() {
+        const panel = document.getElementById('county-table-panel');
+        if (!panel || !panel.open) return;
+
+        const states = state.selectedState ? [state.selectedState] : Object.keys(state.stateCounties);
+        const counties = states.flatMap(abbr => (state.stateCounties[abbr] || []).map(c => ({ ...c, state: abbr })));
+        CountyTable.update(counties, {
+            salary: state.salary,
+            socCode: state.occupation,
+            payBasis: state.payBasis
+        }, { pay: formatPay });
+    }
+
+    /**
+     * Initialize the salary growth projection inputs
+     */
+    function initGrowthProjection() {
+        const refresh = debounce(() => updateGrowthProjection(), 300);
+        ['growth-raise', 'growth-inflation', 'growth-horizon'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', refresh);
+        });
+    }
+
+    /**
+     * Project the salary against an area's thresholds. Threshold growth defaults to the history of the
+     * oldest and newest wage years, whose chunks are loaded for the occupation first
+     */
+    function updateGrowthProjection(areaCode = state.currentAreaCode || '41860') {
+        const container = document.getElementById('growth-results');
+        if (!container) return;
+
+        const occupation = state.occupation;
+        const historyYears = WageData.years.length > 1
+            ? [WageData.years[0].id, WageData.years[WageData.years.length - 1].id]
+            : [];
+
+        WageData.loadOccupations([occupation], [WageData.currentYear, ...historyYears]).then(() => {
+            // Ignore stale loads if the selection changed meanwhile
+            if (state.occupation !== occupation || (state.currentAreaCode || '41860') !== areaCode) return;
+
+            const areaInfo = WageData.getAreaInfo(areaCode);
+            document.getElementById('growth-area').textContent = areaInfo ? `- ${areaInfo.areaName}` : '';
+
+            const history = WageData.getThresholdInflation(areaCode, occupation);
+            const defaultGrowth = history ? Math.round(history.rate * 10) / 10 : CONFIG.defaultThresholdGrowth;
+            const inflationInput = document.getElementById('growth-inflation');
+            inflationInput.placeholder = defaultGrowth;
+
+            const note = document.getElementById('growth-inflation-note');
+            if (!history) {
+                note.textContent = `Only one wage year is published, so a blank threshold growth assumes ${defaultGrowth}%/yr.`;
+            } else if (history.scope === 'area') {
+                note.textContent = `A blank threshold growth uses ${defaultGrowth}%/yr, this area's average from ${history.fromYear} to ${history.toYear}.`;
+            } else {
+                note.textContent = `A blank threshold growth uses ${defaultGrowth}%/yr, the median across areas from ${history.fromYear} to ${history.toYear} (this area has no history).`;
+            }
+
+            const inflation = parseFloat(inflationInput.value);
+            const horizon = parseInt(document.getElementById('growth-horizon').value);
+            const projection = SalaryCalculator.projectSalaryGrowth(state.salary, WageData.getWages(areaCode, occupation, state.payBasis), {
+                raisePercent: parseFloat(document.getElementById('growth-raise').value) || 0,
+                inflationPercent: Number.isFinite(inflation) ? inflation : defaultGrowth,
+                years: Math.min(15, Math.max(1, horizon || 5))
+            });
+
+            GrowthProjection.render(container, state.salary > 0 ? projection : null, WageData.currentYear, {
+                pay: formatPay,
+                period: `${getPayPeriod().label.toLowerCase()}${formatHoursNote()}`
+            });
+        });
+    }
+
+    /**
+     * Initialize the worksite list of a multi-location position
+     */
+    function initWorksites() {
+        const container = document.getElementById('worksite-results');
+        const message = document.getElementById('worksite-message');
+        if (!container) return;
+
+        document.getElementById('worksite-add').addEventListener('click', () => {
+            if (!state.currentAreaCode || !state.selectedCounty || !state.selectedState) {
+                message.textContent = 'Select a county on the map or in the search first';
+                return;
+            }
+            message.textContent = Worksites.add(state.selectedCounty, state.selectedState, state.currentAreaCode) || '';
+        });
+
+        document.getElementById('worksite-show-all').addEventListener('click', () => {
+            const fipsList = getWorksiteFips();
+            if (!state.countyData || fipsList.length === 0) return;
+            const counties = topojson.feature(state.countyData, state.countyData.objects.counties).features
+                .filter(d => fipsList.includes(String(d.id).padStart(5, '0')));
+            if (counties.length) zoomToFeatures(counties);
+        });
+
+        container.addEventListener('click', (e) => {
+            const remove = e.target.closest('.worksite-remove');
+            const show = e.target.closest('.worksite-show');
+            if (remove) {
+                Worksites.remove(parseInt(remove.dataset.index));
+            } else if (show) {
+                const site = Worksites.getSites()[parseInt(show.dataset.index)];
+                if (site) selectCounty(site.county, site.state, site.areaCode);
+            }
+        });
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('worksite-share')) {
+                Worksites.setShare(parseInt(e.target.dataset.index), e.target.value);
+            }
+        });
+
+        document.getElementById('salary').addEventListener('input', debounce(updateWorksites, 300));
+        Worksites.onChange(() => {
+            message.textContent = '';
+            updateWorksites();
+            syncUrl();
+        });
+
+        updateWorksites();
+    }
+
+    /**
+     * Re-evaluate worksites for the current salary, occupation, pay basis and wage year
+     */
+    function updateWorksites() {
+        const result = Worksites.evaluate(state.salary, state.occupation, state.payBasis);
+        Worksites.render(document.getElementById('worksite-results'), result, { pay: formatPay });
+        markWorksites(result);
+    }
+
+    /**
+     * Map features of every worksite county
+     */
+    function getWorksiteFips(sites = Worksites.getSites()) {
+        return sites.flatMap(site => WageData.getCountyFips(site.county, site.state));
+    }
+
+    /**
+     * Outline every worksite on the map at once; worksites below the others get a warning outline
+     */
+    function markWorksites(result = Worksites.evaluate(state.salary, state.occupation, state.payBasis)) {
+        if (!state.svg) return;
+
+        const worksiteFips = new Set(getWorksiteFips(result.sites));
+        const laggingFips = new Set(getWorksiteFips(result.laggingSites));
+        state.svg.selectAll('.county')
+            .classed('worksite', d => worksiteFips.has(String(d.id).padStart(5, '0')))
+            .classed('worksite-lagging', d => laggingFips.has(String(d.id).padStart(5, '0')));
+    }
+
+    /**
+     * Initialize roster CSV evaluation (file picker and drag and drop)
+     */
+    function initRoster() {
+        const dropzone = document.getElementById('roster-dropzone');
+        const fileInput = document.getElementById('roster-file');
+        const results = document.getElementById('roster-results');
+        const error = document.getElementById('roster-error');
+        const downloadBtn = document.getElementById('roster-download');
+        if (!dropzone || !fileInput || !results) return;
+
+        let lastResult = null;
+
+        const evaluateFile = async (file) => {
+            if (!file) return;
+            error.classList.add('hidden');
+            results.innerHTML = '<p class="reverse-empty">Evaluating…</p>';
+
+            try {
+                lastResult = await RosterEvaluator.evaluate(await file.text());
+                RosterEvaluator.render(results, lastResult);
+                downloadBtn.classList.remove('hidden');
+            } catch (err) {
+                lastResult = null;
+                results.innerHTML = '';
+                downloadBtn.classList.add('hidden');
+                error.textContent = `Could not evaluate ${file.name}: ${err.message}`;
+                error.classList.remove('hidden');
+            }
+        };
+
+        fileInput.addEventListener('change', () => {
+            evaluateFile(fileInput.files[0]);
+            fileInput.value = ''; // Allow re-selecting the same file after editing it
+        });
+
+        dropzone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        });
+        dropzone.addEventListener('dragleave', () => dropzone.classList.remove('dragover'));
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropzone.classList.remove('dragover');
+            evaluateFile(e.dataTransfer.files[0]);
+        });
+
+        document.getElementById('roster-template').addEventListener('click', () => {
+            ReportExport.download(RosterEvaluator.TEMPLATE, 'h1b-roster-template.csv', 'text/csv;charset=utf-8');
+        });
+        downloadBtn.addEventListener('click', () => {
+            if (lastResult) ReportExport.downloadCSV(lastResult.rows, `h1b-roster-${WageData.currentYear}`, RosterEvaluator.RESULT_COLUMNS);
+        });
+    }
+
+    /**
+     * Initialize CSV, Excel and print exports of the comparisons
+     */
+    function initReportExport() {
+        const container = document.getElementById('print-report');
+        const filename = () => `h1b-wage-report-${WageData.currentYear}`;
+
+        document.getElementById('export-csv')?.addEventListener('click', () => {
+            ReportExport.downloadCSV(getReportRows(), filename());
+        });
+        document.getElementById('export-xlsx')?.addEventListener('click', () => {
+            ReportExport.downloadXlsx(getReportRows(), filename());
+        });
+        document.getElementById('export-print')?.addEventListener('click', () => {
+            ReportExport.print(container, getReportRows());
+        });
+    }
+
+    /**
+     * Report rows for the salary gaps, two-location and multi-location comparisons
+     */
+    function getReportRows() {
+        const main = { salary: state.salary, socCode: state.occupation, payBasis: state.payBasis };
+        const multi = {
+            salary: parseInt(document.getElementById('multi-salary')?.value) || 150000,
+            socCode: document.getElementById('multi-occupation')?.value || '15-1252',
+            payBasis: null
+        };
+
+        return ReportExport.buildRows([
+            { section: 'Salary Gaps', areaCode: state.currentAreaCode || '41860', ...main },
+            { section: 'Two-Location Comparison', areaCode: document.getElementById('comp-loc-a')?.value, ...main },
+            { section: 'Two-Location Comparison', areaCode: document.getElementById('comp-loc-b')?.value, ...main },
+            ...MultiCompare.getLocations().map(loc => ({ section: 'Multi-Location Comparison', areaCode: loc.areaCode, ...multi }))
+        ]);
+    }
+
+    /**
+     * Show an area on the map, using a county in its principal state
+     */
+    function selectArea(areaCode) {
+        const principalState = WageData.getAreaStates(areaCode)[0];
+        const counties = Object.values(WageData.counties).filter(c => c.area === areaCode);
+        const county = counties.find(c => c.state === principalState) || counties[0];
+        if (!county) return;
+
+        selectCounty(county.county, county.state, areaCode);
+        document.getElementById('map')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Collect the shareable parts of the dashboard state
+     */
+    function getShareableState() {
+        const multiSalary = parseInt(document.getElementById('multi-salary')?.value) || 150000;
+        const multiOccupation = document.getElementById('multi-occupation')?.value || '15-1252';
+
+        return {
+            salary: state.salary,
+            year: WageData.currentYear !== WageData.years[WageData.years.length - 1].id ? WageData.currentYear : '',
+            vs: state.compareYear || '',
+            map: state.mapMode !== 'level' ? state.mapMode : '',
+            palette: state.palette !== 'standard' ? state.palette : '',
+            tl: state.mapMode === 'threshold' && state.thresholdLevel !== 2 ? state.thresholdLevel : '',
+            period: state.payBasis.period !== 'annual' ? state.payBasis.period : '',
+            hours: state.payBasis.hoursPerWeek !== 40 ? state.payBasis.hoursPerWeek : '',
+            soc: state.occupation,
+            state: state.selectedState || '',
+            county: state.selectedState ? state.selectedCounty : '',
+            a: document.getElementById('comp-loc-a')?.value || '',
+            b: document.getElementById('comp-loc-b')?.value || '',
+            compare: MultiCompare.getLocations().map(loc => loc.areaCode),
+            ws: Worksites.getSites().map(site => [site.county, site.state, site.share].filter(Boolean).join('|')),
+            msalary: multiSalary !== 150000 ? multiSalary : '',
+            msoc: multiOccupation !== '15-1252' ? multiOccupation : '',
+            masters: LotteryEstimator.getConfig().mastersEligible ? 1 : ''
+        };
+    }
+
+    /**
+     * Write the current selections to the URL
+     * @param {object} options - { replace: true } for high-frequency edits like typing a salary
+     */
+    function syncUrl(options = {}) {
+        if (state.restoringUrl || !WageData.loaded) return;
+        UrlState.write(getShareableState(), options);
+    }
+
+    /**
+     * Find a county within a state, accepting map names ("Suffolk") or OFLC names ("Suffolk County")
+     */
+    function findStateCounty(stateAbbr, countyName) {
+        const counties = state.stateCounties[stateAbbr] || [];
+        const match = counties.find(c => c.county === countyName) ||
+            counties.find(c => c.county === `${countyName} County`);
+        if (match) return match;
+
+        const area = state.countyToArea[`${countyName}|${stateAbbr}`] ||
+            state.countyToArea[`${countyName} County|${stateAbbr}`];
+        return area ? { county: countyName, area } : null;
+    }
+
+    /**
+     * Apply state read from the URL (initial load or back/forward navigation)
+     */
+    async function applyUrlState(values) {
+        // Wage years first so the occupation chunks load for the right years
+        const year = WageData.getYear(values.year) ? values.year : WageData.years[WageData.years.length - 1].id;
+        WageData.setYear(year);
+        state.compareYear = values.vs && values.vs !== year && WageData.getYear(values.vs) ? values.vs : null;
+        await loadOccupationData([values.soc, values.msoc, state.occupation, CONFIG.defaultOccupation, '15-1252']);
+        state.restoringUrl = true;
+
+        try {
+            // Map mode
+            state.mapMode = CONFIG.mapModes[values.map] ? values.map : 'level';
+            const thresholdLevel = parseInt(values.tl);
+            state.thresholdLevel = thresholdLevel >= 1 && thresholdLevel <= 4 ? thresholdLevel : 2;
+            state.palette = CONFIG.palettes[values.palette] ? values.palette : 'standard';
+            syncPaletteControls();
+
+            updateYearControls();
+
+            // Pay basis, then salary in that unit
+            const hours = parseFloat(values.hours);
+            state.payBasis = {
+                period: WageData.payPeriods[values.period] ? values.period : 'annual',
+                hoursPerWeek: hours > 0 && hours <= 168 ? hours : 40
+            };
+            updatePayBasisInputs();
+
+            const salary = parseSalary(values.salary || '') || CONFIG.defaultSalary;
+            state.salary = salary;
+            document.getElementById('salary').value = formatAmount(salary);
+
+            // Occupation
+            const occupations = WageData.getOccupations();
+            const occupation = occupations.find(o => o.code === values.soc) ||
+                occupations.find(o => o.code === CONFIG.defaultOccupation);
+            if (occupation) {
+                state.occupation = occupation.code;
+                document.getElementById('occupation').value = `${occupation.title} (${occupation.code})`;
+                document.getElementById('occupation-value').value = occupation.code;
+            }
+            updateOccupationDetails();
+
+            // State and county
+            const stateAbbr = state.stateCounties[values.state] ? values.state : null;
+            const county = stateAbbr && values.county ? findStateCounty(stateAbbr, values.county) : null;
+
+            document.getElementById('state-filter').value = stateAbbr ? (WageData.stateNames[stateAbbr] || stateAbbr) : '';
+            document.getElementById('state-filter-value').value = stateAbbr || '';
+            state.selectedState = stateAbbr;
+            state.selectedCounty = county ? county.county : '';
+            updateCountyDropdown();
+            document.getElementById('county-filter').value = county ? `${county.county}|${county.area}` : '';
+
+            const countySearch = document.getElementById('county-search');
+            if (countySearch) countySearch.value = county ? `${county.county}, ${stateAbbr}` : '';
+
+            if (county) {
+                zoomToState(stateAbbr);
+                highlightCountyByArea(county.county, stateAbbr, county.area, true);
+            } else {
+                clearHighlight();
+                if (stateAbbr) zoomToState(stateAbbr);
+                else resetZoom();
+            }
+
+            // Two-location comparison
+            ['a', 'b'].forEach(key => {
+                const select = document.getElementById(`comp-loc-${key}`);
+                if (select && values[key] && WageData.getAreaInfo(values[key])) {
+                    select.value = values[key];
+                }
+            });
+
+            // Multi-location comparison
+            const multiSalary = document.getElementById('multi-salary');
+            if (multiSalary) multiSalary.value = parseInt(values.msalary) || 150000;
+            const multiOccupation = document.getElementById('multi-occupation');
+            if (multiOccupation) {
+                multiOccupation.value = occupations.some(o => o.code === values.msoc) ? values.msoc : '15-1252';
+            }
+            MultiCompare.setLocations(values.compare || []);
+
+            // Worksites ("County|ST" or "County|ST|share"; older links use "fips" or "fips:share")
+            Worksites.setSites((values.ws || []).map(entry => {
+                if (/^\d{5}(:|$)/.test(entry)) {
+                    const [fips, share] = entry.split(':');
+                    const countyArea = WageData.getCountyArea(fips);
+                    return countyArea
+                        ? { county: countyArea.county, state: countyArea.state, areaCode: countyArea.area, share: parseFloat(share) || null }
+                        : {};
+                }
+                const [county, stateAbbr, share] = entry.split('|');
+                const match = findStateCounty(stateAbbr, county);
+                return match ? { county: match.county, state: stateAbbr, areaCode: match.area, share: parseFloat(share) || null } : {};
+            }));
+
+            // Master's cap eligibility
+            if (LotteryEstimator.getConfig().mastersEligible !== (values.masters === '1')) {
+                LotteryEstimator.setConfig({ mastersEligible: values.masters === '1' });
+            }
+
+            updateCountyColors();
+            updateComparison();
+            updateSalaryGaps();
+            updateReverseSearch();
+            updateWorksites();
+        } finally {
+            state.restoringUrl = false;
+        }
+    }
+
     // Expose state to window for new features
     window.appState = state;
 
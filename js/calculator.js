@@ -1,6 +1,7 @@
 /**
  * Salary Calculator Module
  * Handles salary gap calculations, cost of living adjustments, and tax calculations
+ * (tax rates come from TaxTables)
  */
 
 const SalaryCalculator = (function () {
@@ -8,42 +9,12 @@ const SalaryCalculator = (function () {
 
     let colData = {};
 
-    // State tax rates (simplified - using marginal rates for typical H1B salaries)
-    const STATE_TAX_RATES = {
-        'AL': 0.05, 'AK': 0, 'AZ': 0.045, 'AR': 0.059, 'CA': 0.093,
-        'CO': 0.0455, 'CT': 0.0699, 'DE': 0.066, 'FL': 0, 'GA': 0.0575,
-        'HI': 0.11, 'ID': 0.06, 'IL': 0.0495, 'IN': 0.0323, 'IA': 0.0853,
-        'KS': 0.057, 'KY': 0.05, 'LA': 0.0425, 'ME': 0.0715, 'MD': 0.0575,
-        'MA': 0.05, 'MI': 0.0425, 'MN': 0.0985, 'MS': 0.05, 'MO': 0.054,
-        'MT': 0.0675, 'NE': 0.0684, 'NV': 0, 'NH': 0, 'NJ': 0.1075,
-        'NM': 0.059, 'NY': 0.0685, 'NC': 0.0499, 'ND': 0.029, 'OH': 0.0399,
-        'OK': 0.05, 'OR': 0.099, 'PA': 0.0307, 'RI': 0.0599, 'SC': 0.07,
-        'SD': 0, 'TN': 0, 'TX': 0, 'UT': 0.0495, 'VT': 0.0875,
-        'VA': 0.0575, 'WA': 0, 'WV': 0.065, 'WI': 0.0765, 'WY': 0,
-        'DC': 0.0895
-    };
-
-    // Federal tax brackets 2024 (single filer)
-    const FEDERAL_BRACKETS = [
-        { limit: 11600, rate: 0.10 },
-        { limit: 47150, rate: 0.12 },
-        { limit: 100525, rate: 0.22 },
-        { limit: 191950, rate: 0.24 },
-        { limit: 243725, rate: 0.32 },
-        { limit: 609350, rate: 0.35 },
-        { limit: Infinity, rate: 0.37 }
-    ];
-
-    const STANDARD_DEDUCTION = 14600;
-    const FICA_RATE = 0.0765; // Social Security + Medicare
-
     /**
      * Load cost of living data
      */
     async function loadCOLData() {
         try {
-            const response = await fetch('./data/cost_of_living.json');
-            colData = await response.json();
+            colData = await WageData.loadFile('costOfLiving') || {};
             console.log('Cost of living data loaded:', Object.keys(colData).length, 'areas');
         } catch (error) {
             console.error('Failed to load COL data:', error);
@@ -57,6 +28,35 @@ const SalaryCalculator = (function () {
         return colData[areaCode]?.colIndex || 100; // Default to national average
     }
 
+    /**
+     * Get COL details for an area
+     * @returns {object|null} { colIndex, housingIndex (measured areas only), estimated, source } or null without data
+     */
+    function getCOLInfo(areaCode) {
+        return colData[areaCode] || null;
+    }
+
+    /**
+     * Format a COL index for display; estimates are prefixed with "~"
+     * @param {string} areaCode
+     * @param {string} [field] - 'colIndex' or 'housingIndex'
+     * @returns {string} e.g. "170", "~92" or "N/A"
+     */
+    function formatCOLIndex(areaCode, field = 'colIndex') {
+        const info = colData[areaCode];
+        if (!info || !info[field]) return 'N/A';
+        return `${field === 'colIndex' && info.estimated ? '~' : ''}${info[field]}`;
+    }
+
+    /**
+     * Tooltip describing where an area's COL values come from
+     */
+    function describeCOLSource(areaCode) {
+        const info = colData[areaCode];
+        if (!info) return 'No cost of living data for this area';
+        return `${info.source}; ${info.housingIndex ? `housing ${info.housingIndex}` : 'no measured housing index'}`;
+    }
+
     /**
      * Calculate salary gaps to reach each wage level
      */
@@ -80,6 +80,108 @@ const SalaryCalculator = (function () {
         return { gaps, currentLevel, thresholds: wages };
     }
 
+    /**
+     * Minimum salary that reaches each wage level in every one of a set of areas
+     * @param {number} currentSalary - Current offer, to price each level against
+     * @param {Array} locations - [{ areaCode, areaName, wages }] where wages is { l1..l4 } or null
+     * @returns {object} { levels: [{ level, minimum, binding, extra }], missing: areas without wage data }
+     *   binding is the location with the highest threshold; extra is 0 when the offer already qualifies
+     */
+    function calculateMinimumSalaries(currentSalary, locations) {
+        const withWages = locations.filter(loc => loc.wages);
+
+        const levels = [1, 2, 3, 4].map(level => {
+            const binding = withWages.reduce((max, loc) =>
+                !max || loc.wages[`l${level}`] > max.wages[`l${level}`] ? loc : max, null);
+            if (!binding) return { level, minimum: null, binding: null, extra: null };
+
+            const minimum = binding.wages[`l${level}`];
+            return {
+                level,
+                minimum,
+                binding: { areaCode: binding.areaCode, areaName: binding.areaName },
+                extra: Math.max(0, minimum - currentSalary)
+            };
+        });
+
+        return { levels, missing: locations.filter(loc => !loc.wages) };
+    }
+
+    /**
+     * Project a salary and an area's thresholds forward year by year
+     * @param {number} salary - Current salary, in the same unit as wages
+     * @param {object} wages - Current thresholds { l1..l4 }
+     * @param {object} options - { raisePercent, inflationPercent, years } annual raise, annual threshold growth and horizon
+     * @returns {Array|null} [{ offset, salary, thresholds, level, changed }] from offset 0 (today) to years;
+     *   changed is true when the level differs from the year before
+     */
+    function projectSalaryGrowth(salary, wages, options) {
+        if (!wages) return null;
+
+        const { raisePercent = 0, inflationPercent = 0, years = 5 } = options;
+        const projection = [];
+        for (let offset = 0; offset <= years; offset++) {
+            const salaryFactor = Math.pow(1 + raisePercent / 100, offset);
+            const thresholdFactor = Math.pow(1 + inflationPercent / 100, offset);
+            const thresholds = {
+                l1: wages.l1 * thresholdFactor,
+                l2: wages.l2 * thresholdFactor,
+                l3: wages.l3 * thresholdFactor,
+                l4: wages.l4 * thresholdFactor
+            };
+            const projectedSalary = salary * salaryFactor;
+            const { currentLevel } = calculateSalaryGaps(projectedSalary, thresholds);
+            const previous = projection[offset - 1];
+
+            projection.push({
+                offset,
+                salary: projectedSalary,
+                thresholds,
+                level: currentLevel,
+                changed: previous ? previous.level !== currentLevel : false
+            });
+        }
+
+        return projection;
+    }
+
+    /**
+     * Smallest base salary reaching each wage level, as a raise over the offer and a change in take-home pay
+     * @param {number} base - Offered base salary, in the same unit as wages
+     * @param {object} wages - Thresholds { l1..l4 }
+     * @param {string} stateAbbr - State of residence for the take-home calculation
+     * @param {object} [options] - calculateTakeHome options plus annualFactor (base × annualFactor = annual pay)
+     *   and precision (decimal places targets are rounded up to)
+     * @returns {object|null} { base, currentLevel, takeHome, levels: [{ level, threshold, met, target, raise, raisePercent, takeHomeChange }] }
+     *   takeHome and takeHomeChange are annual
+     */
+    function calculateRaiseTargets(base, wages, stateAbbr, options = {}) {
+        if (!wages || !(base > 0)) return null;
+
+        const { annualFactor = 1, precision = 0, ...taxOptions } = options;
+        const factor = Math.pow(10, precision);
+        const netPay = (salary) => calculateTakeHome(salary * annualFactor, stateAbbr, taxOptions).takeHome;
+        const takeHome = netPay(base);
+
+        const levels = [1, 2, 3, 4].map(level => {
+            const threshold = wages[`l${level}`];
+            const met = base >= threshold;
+            const target = met ? base : Math.ceil(threshold * factor - 1e-9) / factor;
+            const raise = target - base;
+            return {
+                level,
+                threshold,
+                met,
+                target,
+                raise,
+                raisePercent: raise / base * 100,
+                takeHomeChange: met ? 0 : netPay(target) - takeHome
+            };
+        });
+
+        return { base, currentLevel: calculateSalaryGaps(base, wages).currentLevel, takeHome, levels };
+    }
+
     /**
      * Adjust salary for cost of living between two areas
      */
@@ -100,16 +202,18 @@ const SalaryCalculator = (function () {
     }
 
     /**
-     * Calculate federal income tax
+     * Tax owed on income under a progressive bracket table
+     * @param {number} income - Taxable income
+     * @param {Array} brackets - [{ limit, rate }] from TaxTables
      */
-    function calculateFederalTax(taxableIncome) {
+    function calculateBracketTax(income, brackets) {
         let tax = 0;
         let previousLimit = 0;
 
-        for (const bracket of FEDERAL_BRACKETS) {
-            if (taxableIncome <= previousLimit) break;
+        for (const bracket of brackets) {
+            if (income <= previousLimit) break;
 
-            const taxableInBracket = Math.min(taxableIncome, bracket.limit) - previousLimit;
+            const taxableInBracket = Math.min(income, bracket.limit) - previousLimit;
             tax += taxableInBracket * bracket.rate;
             previousLimit = bracket.limit;
         }
@@ -119,45 +223,85 @@ const SalaryCalculator = (function () {
 
     /**
      * Calculate post-tax take-home pay
+     * @param {number} grossSalary - Annual salary
+     * @param {string} stateAbbr - State of residence
+     * @param {object} [options] - { taxYear, filingStatus, locality, k401, hsa, hsaCoverage: 'self'|'family' }
+     *   k401 and hsa are annual pre-tax payroll contributions, capped at the year's limits
      */
-    function calculateTakeHome(grossSalary, stateAbbr) {
-        // Calculate taxable income
-        const taxableIncome = Math.max(0, grossSalary - STANDARD_DEDUCTION);
+    function calculateTakeHome(grossSalary, stateAbbr, options = {}) {
+        const taxYear = options.taxYear || TaxTables.DEFAULT_YEAR;
+        const filingStatus = TaxTables.FILING_STATUSES[options.filingStatus] ? options.filingStatus : 'single';
+        const { fica, limits } = TaxTables.getYear(taxYear);
+
+        // Pre-tax contributions: 401(k) is exempt from income tax only; payroll HSA also skips FICA
+        const hsaLimit = options.hsaCoverage === 'family' ? limits.hsaFamily : limits.hsaSelf;
+        const k401 = Math.min(Math.max(0, options.k401 || 0), limits.k401, grossSalary);
+        const hsa = Math.min(Math.max(0, options.hsa || 0), hsaLimit, grossSalary - k401);
+        const ficaWages = grossSalary - hsa;
 
         // Federal tax
-        const federalTax = calculateFederalTax(taxableIncome);
+        const federal = TaxTables.getFederal(filingStatus, taxYear);
+        const taxableIncome = Math.max(0, grossSalary - k401 - hsa - federal.standardDeduction);
+        const federalTax = calculateBracketTax(taxableIncome, federal.brackets);
+
+        // State tax (some states don't exclude 401(k) or HSA contributions)
+        const state = TaxTables.getState(stateAbbr, filingStatus, taxYear);
+        let stateTaxableIncome = 0;
+        let stateTax = 0;
+        if (state) {
+            const stateWages = grossSalary - (state.taxes401k ? 0 : k401) - (state.taxesHsa ? 0 : hsa);
+            stateTaxableIncome = Math.max(0, stateWages - state.deduction);
+            stateTax = calculateBracketTax(stateTaxableIncome, state.brackets);
+        }
 
-        // State tax
-        const stateTaxRate = STATE_TAX_RATES[stateAbbr] || 0;
-        const stateTax = taxableIncome * stateTaxRate;
+        // Local tax, only for a locality in the same state
+        const locality = TaxTables.getLocality(options.locality, filingStatus, taxYear);
+        let localTax = 0;
+        if (locality && locality.state === stateAbbr) {
+            const localBase = { wages: ficaWages, stateTaxable: stateTaxableIncome, stateTax }[locality.base];
+            localTax = calculateBracketTax(localBase, locality.brackets);
+        }
 
-        // FICA (Social Security + Medicare)
-        const ficaTax = grossSalary * FICA_RATE;
+        // FICA: Social Security up to the wage base, Medicare plus Additional Medicare Tax
+        const socialSecurity = Math.min(ficaWages, fica.socialSecurityWageBase) * fica.socialSecurityRate;
+        const medicare = ficaWages * fica.medicareRate;
+        const additionalMedicare = Math.max(0, ficaWages - fica.additionalMedicareThreshold[filingStatus]) * fica.additionalMedicareRate;
+        const ficaTax = socialSecurity + medicare + additionalMedicare;
 
         // Total tax
-        const totalTax = federalTax + stateTax + ficaTax;
+        const totalTax = federalTax + stateTax + localTax + ficaTax;
 
-        // Take-home
-        const takeHome = grossSalary - totalTax;
+        // Take-home (net pay after taxes and pre-tax contributions)
+        const takeHome = grossSalary - totalTax - k401 - hsa;
 
         return {
             gross: grossSalary,
+            taxYear: Number(taxYear),
+            filingStatus,
+            locality: locality && locality.state === stateAbbr ? locality.name : null,
+            pretax: { k401, hsa },
             taxableIncome,
+            stateTaxableIncome,
             federalTax: Math.round(federalTax),
             stateTax: Math.round(stateTax),
+            localTax: Math.round(localTax),
+            socialSecurity: Math.round(socialSecurity),
+            medicare: Math.round(medicare + additionalMedicare),
             ficaTax: Math.round(ficaTax),
             totalTax: Math.round(totalTax),
             takeHome: Math.round(takeHome),
-            effectiveRate: ((totalTax / grossSalary) * 100).toFixed(1)
+            effectiveRate: grossSalary > 0 ? ((totalTax / grossSalary) * 100).toFixed(1) : '0.0'
         };
     }
 
     /**
      * Compare take-home pay between two locations
+     * @param {object} [options] - calculateTakeHome options shared by both, plus localities: [locality1, locality2]
      */
-    function compareTakeHome(salary, area1Code, area1State, area2Code, area2State) {
-        const takeHome1 = calculateTakeHome(salary, area1State);
-        const takeHome2 = calculateTakeHome(salary, area2State);
+    function compareTakeHome(salary, area1Code, area1State, area2Code, area2State, options = {}) {
+        const [locality1, locality2] = options.localities || [];
+        const takeHome1 = calculateTakeHome(salary, area1State, { ...options, locality: locality1 });
+        const takeHome2 = calculateTakeHome(salary, area2State, { ...options, locality: locality2 });
 
         // Adjust for COL
         const col1 = getCOLIndex(area1Code);
@@ -182,13 +326,45 @@ const SalaryCalculator = (function () {
         };
     }
 
+    /**
+     * Gross salary in location 2 with the same COL-adjusted take-home pay as salary in location 1
+     * @param {object} [options] - Same as compareTakeHome
+     * @returns {number} Annual gross salary (rounded to the dollar)
+     */
+    function findEquivalentSalary(salary, area1Code, area1State, area2Code, area2State, options = {}) {
+        const [locality1, locality2] = options.localities || [];
+        const target = calculateTakeHome(salary, area1State, { ...options, locality: locality1 }).takeHome / getCOLIndex(area1Code);
+        const col2 = getCOLIndex(area2Code);
+        const purchasingPower = (gross) => calculateTakeHome(gross, area2State, { ...options, locality: locality2 }).takeHome / col2;
+
+        // Take-home pay rises with gross pay, so bisect between 0 and a salary that is high enough
+        let lo = 0;
+        let hi = Math.max(salary, 1000) * 2;
+        while (purchasingPower(hi) < target && hi < 1e9) hi *= 2;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) / 2;
+            if (purchasingPower(mid) < target) lo = mid;
+            else hi = mid;
+        }
+
+        return Math.round(hi);
+    }
+
     // Public API
     return {
         loadCOLData,
         getCOLIndex,
+        getCOLInfo,
+        formatCOLIndex,
+        describeCOLSource,
         calculateSalaryGaps,
+        calculateMinimumSalaries,
+        projectSalaryGrowth,
+        calculateRaiseTargets,
         adjustForCOL,
+        calculateBracketTax,
         calculateTakeHome,
-        compareTakeHome
+        compareTakeHome,
+        findEquivalentSalary
     };
 })();
@@ -0,0 +1,241 @@
+/**
+ * County Table Module
+ * Sortable, filterable table of every county with its OFLC area, thresholds, level and gap to the
+ * next level. Only the rows in view are rendered, so the whole country (3,000+ counties) stays fast.
+ * Needs no map data, so it doubles as the view when the map can't load
+ */
+
+const CountyTable = (function () {
+    'use strict';
+
+    const ROW_HEIGHT = 36;  // px, must match .county-table tbody tr in county-table.css
+    const BUFFER_ROWS = 10; // Rendered above and below the visible rows
+    const LEVEL_LABELS = ['Below L1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+    const LEVEL_COLORS = ['var(--level-below)', 'var(--level-1)', 'var(--level-2)', 'var(--level-3)', 'var(--level-4)'];
+    const LEVEL_TEXT_COLORS = ['var(--level-below-text)', 'var(--level-1-text)', 'var(--level-2-text)', 'var(--level-3-text)', 'var(--level-4-text)'];
+
+    const COLUMNS = [
+        { key: 'county', label: 'County' },
+        { key: 'areaName', label: 'OFLC Area' },
+        { key: 'l1', label: 'Level 1', numeric: true },
+        { key: 'l2', label: 'Level 2', numeric: true },
+        { key: 'l3', label: 'Level 3', numeric: true },
+        { key: 'l4', label: 'Level 4', numeric: true },
+        { key: 'level', label: 'Your Level', numeric: true },
+        { key: 'gap', label: 'Gap to Next', numeric: true }
+    ];
+
+    let elements = null;        // { filter, level, count, wrapper, table, head, body }
+    let rows = [];              // All rows for the current query
+    let view = [];              // Rows after filtering and sorting
+    let sort = { key: 'county', direction: 1 };
+    let selectedKey = null;     // "County|ST" of the map selection
+    let format = { pay: amount => String(amount) };
+    let selectListener = null;
+
+    const rowKey = (county, stateAbbr) => `${county}|${stateAbbr}`;
+
+    /**
+     * Build the controls and the empty table
+     * @param {HTMLElement} container
+     */
+    function init(container) {
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="county-table-controls">
+                <input type="search" class="filter-input county-table-filter" placeholder="Filter by county or area..."
+                    aria-label="Filter counties by county or area name">
+                <select class="filter-select county-table-level" aria-label="Filter by your level">
+                    <option value="">All levels</option>
+                    ${LEVEL_LABELS.map((label, level) => `<option value="${level}">${label}</option>`).reverse().join('')}
+                    <option value="-1">No data</option>
+                </select>
+                <span class="county-table-count" aria-live="polite"></span>
+            </div>
+            <div class="county-table-wrapper" tabindex="0" aria-label="County table, scrollable">
+                <table class="county-table">
+                    <thead>
+                        <tr>
+                            ${COLUMNS.map(col => `
+                                <th scope="col" data-key="${col.key}" class="${col.numeric ? 'numeric' : ''}" aria-sort="none">
+                                    <button type="button" class="county-table-sort" data-key="${col.key}">${col.label}</button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        elements = {
+            filter: container.querySelector('.county-table-filter'),
+            level: container.querySelector('.county-table-level'),
+            count: container.querySelector('.county-table-count'),
+            wrapper: container.querySelector('.county-table-wrapper'),
+            table: container.querySelector('.county-table'),
+            head: container.querySelector('thead'),
+            body: container.querySelector('tbody')
+        };
+
+        elements.filter.addEventListener('input', () => {
+            applyView();
+            elements.wrapper.scrollTop = 0;
+            renderWindow();
+        });
+        elements.level.addEventListener('change', () => {
+            applyView();
+            elements.wrapper.scrollTop = 0;
+            renderWindow();
+        });
+        elements.head.addEventListener('click', (e) => {
+            const button = e.target.closest('.county-table-sort');
+            if (!button) return;
+            const key = button.dataset.key;
+            sort = { key, direction: sort.key === key ? -sort.direction : 1 };
+            applyView();
+            renderWindow();
+        });
+        elements.wrapper.addEventListener('scroll', () => renderWindow());
+        elements.body.addEventListener('click', (e) => {
+            const button = e.target.closest('.county-table-select');
+            const row = button && view[parseInt(button.dataset.index)];
+            if (row && selectListener) selectListener(row);
+        });
+    }
+
+    /**
+     * Recompute every row for the current salary, occupation and pay basis
+     * @param {Array} counties - [{ county, state, area, areaName }]
+     * @param {object} query - { salary, socCode, payBasis }
+     * @param {object} [formatOptions] - { pay: amount => string }
+     */
+    function update(counties, query, formatOptions) {
+        if (!elements) return;
+        if (formatOptions) format = formatOptions;
+
+        rows = counties.map(c => {
+            const wages = WageData.getWages(c.area, query.socCode, query.payBasis);
+            const level = wages ? WageData.calculateWageLevel(query.salary, c.area, query.socCode, query.payBasis) : -1;
+            return {
+                key: rowKey(c.county, c.state),
+                county: c.county,
+                state: c.state,
+                area: c.area,
+                areaName: c.areaName,
+                l1: wages ? wages.l1 : null,
+                l2: wages ? wages.l2 : null,
+                l3: wages ? wages.l3 : null,
+                l4: wages ? wages.l4 : null,
+                level,
+                gap: !wages ? null : level === 4 ? 0 : wages[`l${level + 1}`] - query.salary
+            };
+        });
+
+        applyView();
+        renderWindow();
+    }
+
+    /**
+     * Filter and sort rows into the view; rows without data sort last either way
+     */
+    function applyView() {
+        const text = elements.filter.value.trim().toLowerCase();
+        const level = elements.level.value;
+
+        view = rows.filter(row =>
+            (!text || row.county.toLowerCase().includes(text) || (row.areaName || '').toLowerCase().includes(text)) &&
+            (level === '' || row.level === parseInt(level)));
+
+        const column = COLUMNS.find(col => col.key === sort.key);
+        view.sort((a, b) => {
+            const x = a[sort.key];
+            const y = b[sort.key];
+            const xMissing = x === null || x === undefined || (sort.key === 'level' && x < 0);
+            const yMissing = y === null || y === undefined || (sort.key === 'level' && y < 0);
+            if (xMissing || yMissing) return xMissing === yMissing ? 0 : xMissing ? 1 : -1;
+
+            const order = column.numeric ? x - y : String(x).localeCompare(String(y));
+            // Ties (and the county column) fall back to state, then county
+            return (order || a.state.localeCompare(b.state) || a.county.localeCompare(b.county)) * sort.direction;
+        });
+
+        elements.head.querySelectorAll('th').forEach(th => {
+            th.setAttribute('aria-sort', th.dataset.key !== sort.key ? 'none' : sort.direction > 0 ? 'ascending' : 'descending');
+        });
+        elements.table.setAttribute('aria-rowcount', view.length + 1);
+        elements.count.textContent = `${view.length.toLocaleString()} of ${rows.length.toLocaleString()} counties`;
+    }
+
+    function renderRow(row, index) {
+        const cell = value => (value === null ? '<td class="numeric">—</td>' : `<td class="numeric">${format.pay(value)}</td>`);
+        const levelCell = row.level >= 0
+            ? `<span class="level-badge" style="background-color: ${LEVEL_COLORS[row.level]}; color: ${LEVEL_TEXT_COLORS[row.level]};">${LEVEL_LABELS[row.level]}</span>`
+            : 'No data';
+        const gapCell = row.gap === null ? '—' : row.level === 4 ? '✅ Max' : `+${format.pay(row.gap)}`;
+
+        return `
+            <tr class="${row.key === selectedKey ? 'selected' : ''}" aria-rowindex="${index + 2}">
+                <td><button type="button" class="county-table-select" data-index="${index}"
+                    aria-current="${row.key === selectedKey ? 'true' : 'false'}">${row.county}, ${row.state}</button></td>
+                <td class="county-table-area" title="${row.areaName || ''}">${row.areaName || row.area}</td>
+                ${cell(row.l1)}${cell(row.l2)}${cell(row.l3)}${cell(row.l4)}
+                <td>${levelCell}</td>
+                <td class="numeric">${gapCell}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render the rows in view plus a buffer; spacer rows keep the scroll height of the full table
+     */
+    function renderWindow() {
+        if (!elements) return;
+
+        if (view.length === 0) {
+            elements.body.innerHTML = `<tr><td colspan="${COLUMNS.length}" class="county-table-empty">No counties match the filters</td></tr>`;
+            return;
+        }
+
+        const visible = Math.ceil((elements.wrapper.clientHeight || 480) / ROW_HEIGHT);
+        const start = Math.max(0, Math.floor(elements.wrapper.scrollTop / ROW_HEIGHT) - BUFFER_ROWS);
+        const end = Math.min(view.length, start + visible + BUFFER_ROWS * 2);
+        const spacer = height => (height > 0
+            ? `<tr class="county-table-spacer" aria-hidden="true"><td colspan="${COLUMNS.length}" style="height: ${height}px;"></td></tr>`
+            : '');
+
+        elements.body.innerHTML = spacer(start * ROW_HEIGHT) +
+            view.slice(start, end).map((row, offset) => renderRow(row, start + offset)).join('') +
+            spacer((view.length - end) * ROW_HEIGHT);
+    }
+
+    /**
+     * Mark the map selection and scroll it into view
+     * @param {string|null} county - null clears the selection
+     */
+    function setSelected(county, stateAbbr) {
+        selectedKey = county ? rowKey(county, stateAbbr) : null;
+        if (!elements) return;
+
+        const index = view.findIndex(row => row.key === selectedKey);
+        if (index >= 0) {
+            const top = index * ROW_HEIGHT;
+            const { scrollTop, clientHeight } = elements.wrapper;
+            if (top < scrollTop || top + ROW_HEIGHT > scrollTop + clientHeight) {
+                elements.wrapper.scrollTop = Math.max(0, top - clientHeight / 2);
+            }
+        }
+        renderWindow();
+    }
+
+    // Public API
+    return {
+        init,
+        update,
+        setSelected,
+        onSelect: (callback) => { selectListener = callback; }
+    };
+})();
+
+window.CountyTable = CountyTable;
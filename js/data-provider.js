@@ -0,0 +1,214 @@
+/**
+ * Data Provider Module
+ * Fetches the wage dataset described by a manifest: version, wage years with effective dates,
+ * file URLs and SHA-256 checksums. Also holds the schema WageData validates every file against,
+ * so a missing or corrupt file fails with an error naming the file and what is wrong with it
+ */
+
+const DataProvider = (function () {
+    'use strict';
+
+    const SCHEMA_VERSION = 1; // Must match MANIFEST_SCHEMA in process_oflc_data.py
+    const DEFAULT_MANIFEST_URL = 'data/manifest.json';
+    const MANIFEST_META = 'wage-data-manifest'; // <meta name="wage-data-manifest" content="..."> selects another dataset
+    const REQUIRED_FILES = ['geography', 'counties', 'countyAreas', 'occupations', 'occupationTitles'];
+
+    /**
+     * A data file that is missing, corrupt or doesn't match the schema
+     */
+    class DataError extends Error {
+        /**
+         * @param {string} file - File name or URL as listed in the manifest
+         * @param {string} problem - e.g. "is missing", "is corrupt"
+         * @param {string} [detail] - e.g. "HTTP 404", "checksum mismatch"
+         */
+        constructor(file, problem, detail) {
+            super(`${file} ${problem}${detail ? ` (${detail})` : ''}`);
+            this.name = 'DataError';
+            this.file = file;
+            this.problem = problem;
+        }
+    }
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isString = value => typeof value === 'string' && value.length > 0;
+
+    // Schema checks return a description of the first problem, or null when the data is valid
+    function objectOf(isValid, description) {
+        return data => {
+            if (!isObject(data)) return 'expected an object';
+            const keys = Object.keys(data);
+            if (keys.length === 0) return 'has no entries';
+            const bad = keys.find(key => !isValid(data[key]));
+            return bad === undefined ? null : `entry "${bad}" ${description}`;
+        };
+    }
+
+    function arrayOf(isValid, description) {
+        return data => {
+            if (!Array.isArray(data)) return 'expected an array';
+            if (data.length === 0) return 'has no entries';
+            const bad = data.findIndex(item => !isValid(item));
+            return bad < 0 ? null : `item ${bad} ${description}`;
+        };
+    }
+
+    const FILE_SCHEMAS = {
+        geography: objectOf(a => isObject(a) && isString(a.areaName) && isString(a.state) && Array.isArray(a.counties),
+            'needs areaName, state and counties'),
+        counties: objectOf(c => isObject(c) && isString(c.area) && isString(c.state) && isString(c.county),
+            'needs area, state and county'),
+        countyAreas: objectOf(c => isObject(c) && isString(c.area) && isString(c.county), 'needs area and county'),
+        occupations: arrayOf(o => isObject(o) && isString(o.code) && isString(o.title), 'needs code and title'),
+        occupationTitles: arrayOf(t => isObject(t) && isString(t.title) && isString(t.soc), 'needs title and soc'),
+        costOfLiving: objectOf(c => isObject(c) && typeof c.colIndex === 'number', 'needs a numeric colIndex'),
+        zipCounties: objectOf(Array.isArray, 'should list [fips, landSharePercent] pairs'),
+        places: objectOf(isObject, 'should map place names to county FIPS codes'),
+        // { areaCode: [l1, l2, l3, l4] }
+        wages: objectOf(levels => Array.isArray(levels) && levels.length === 4 && levels.every(Number.isFinite),
+            'should be four numeric thresholds')
+    };
+
+    /**
+     * Check a manifest against the schema
+     * @returns {Array<string>} Problems found, empty when valid
+     */
+    function validateManifest(manifest) {
+        if (!isObject(manifest)) return ['expected an object'];
+
+        const problems = [];
+        if (manifest.schema !== SCHEMA_VERSION) {
+            problems.push(`schema ${manifest.schema} is not supported (expected ${SCHEMA_VERSION})`);
+        }
+        if (!isString(manifest.version)) problems.push('version is missing');
+
+        if (!Array.isArray(manifest.years) || manifest.years.length === 0) {
+            problems.push('years must list at least one wage year');
+        } else {
+            manifest.years.forEach((year, index) => {
+                const name = `years[${index}]${year && year.id ? ` (${year.id})` : ''}`;
+                if (!isObject(year) || !isString(year.id) || !isString(year.label)) {
+                    problems.push(`${name} needs an id and label`);
+                } else if (!/^\d{4}-\d{2}-\d{2}$/.test(year.effective || '')) {
+                    problems.push(`${name} needs an effective date as YYYY-MM-DD`);
+                } else if (!isString(year.wages) || !year.wages.includes('{soc}')) {
+                    problems.push(`${name} needs a wages URL containing {soc}`);
+                }
+            });
+        }
+
+        if (!isObject(manifest.files)) {
+            problems.push('files is missing');
+        } else {
+            REQUIRED_FILES.filter(key => !manifest.files[key]).forEach(key => problems.push(`files.${key} is missing`));
+            Object.entries(manifest.files).forEach(([key, file]) => {
+                if (!isObject(file) || !isString(file.url)) {
+                    problems.push(`files.${key} needs a url`);
+                } else if (file.sha256 !== undefined && !/^[0-9a-f]{64}$/i.test(file.sha256)) {
+                    problems.push(`files.${key}.sha256 is not a SHA-256 hex digest`);
+                }
+            });
+        }
+        return problems;
+    }
+
+    /**
+     * Check a loaded file against the schema for its manifest key
+     * @param {string} key - Manifest file key, or "wages" for a wage chunk
+     * @param {string} file - Name used in the error
+     * @throws {DataError} When the data doesn't match
+     */
+    function checkFile(key, data, file) {
+        const check = FILE_SCHEMAS[key];
+        const problem = check ? check(data) : null;
+        if (problem) throw new DataError(file, 'has an unexpected format', problem);
+    }
+
+    /**
+     * Manifest URL from the page's wage-data-manifest meta tag, or the bundled dataset
+     */
+    function getManifestUrl() {
+        const meta = document.querySelector(`meta[name="${MANIFEST_META}"]`);
+        return (meta && meta.content.trim()) || DEFAULT_MANIFEST_URL;
+    }
+
+    async function sha256(buffer) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Fetch and parse a JSON file, verifying its checksum when one is given
+     * (crypto.subtle only exists on https and localhost; elsewhere checksums are skipped)
+     * @param {string} file - Name used in errors
+     */
+    async function fetchJson(url, file, checksum) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new DataError(file, 'could not be downloaded', error.message);
+        }
+        if (!response.ok) {
+            throw new DataError(file, response.status === 404 ? 'is missing' : 'could not be downloaded', `HTTP ${response.status}`);
+        }
+
+        const buffer = await response.arrayBuffer();
+        if (checksum && window.crypto && crypto.subtle && await sha256(buffer) !== checksum.toLowerCase()) {
+            throw new DataError(file, 'is corrupt', 'checksum mismatch');
+        }
+        try {
+            return JSON.parse(new TextDecoder().decode(buffer));
+        } catch (error) {
+            throw new DataError(file, 'is corrupt', 'not valid JSON');
+        }
+    }
+
+    /**
+     * Provider for the dataset described by a manifest. A provider is any object with
+     * load() → manifest, fetchFile(key) → data or null and fetchWages(yearId, socCode) → { areaCode: levels },
+     * so a test fixture or another backend can be passed to WageData.setProvider() instead
+     * @param {string} [manifestUrl] - File URLs in the manifest are relative to it
+     */
+    function createManifestProvider(manifestUrl = getManifestUrl()) {
+        const base = new URL(manifestUrl, document.baseURI);
+        const resolve = path => new URL(path, base).href;
+        let manifest = null;
+
+        return {
+            manifestUrl,
+
+            // Validated by WageData.loadDataset, like the manifest of any other provider
+            async load() {
+                manifest = await fetchJson(base.href, manifestUrl);
+                return manifest;
+            },
+
+            // Optional files that aren't in the manifest resolve to null
+            async fetchFile(key) {
+                const file = manifest.files[key];
+                return file ? fetchJson(resolve(file.url), file.url, file.sha256) : null;
+            },
+
+            async fetchWages(yearId, socCode) {
+                const year = manifest.years.find(entry => entry.id === yearId);
+                if (!year) throw new DataError(`${yearId}/${socCode}`, 'is missing', 'wage year not in the manifest');
+                const url = year.wages.replace('{soc}', encodeURIComponent(socCode));
+                return fetchJson(resolve(url), url, year.checksums ? year.checksums[socCode] : null);
+            }
+        };
+    }
+
+    // Public API
+    return {
+        DEFAULT_MANIFEST_URL,
+        REQUIRED_FILES,
+        DataError,
+        validateManifest,
+        checkFile,
+        getManifestUrl,
+        createManifestProvider
+    };
+})();
+
+window.DataProvider = DataProvider;
@@ -5,17 +5,55 @@
 
 const WageData = {
   // Data will be loaded asynchronously
-  wages: null,       // { areaCode: { socCode: [l1, l2, l3, l4] } }
+  wages: null,       // { areaCode: { socCode: [l1, l2, l3, l4] } } for the selected year, filled on demand
+  wagesByYear: {},   // { yearId: same shape as wages }
+  years: [],         // [{ id, label, effective }] oldest first
+  currentYear: null, // Selected wage year id
   geography: null,   // { areaCode: { areaName, state, counties } }
   counties: null,    // { "County Name, ST": { area, areaName, state, county } }
-  occupations: [],   // [{ code, title }]
+  countyAreas: null, // { fips: { area, county } } map feature → OFLC area and county name
+  countyFipsIndex: null, // { "County Name|ST": [fips] } reverse of countyAreas, built on first use
+  occupations: [],   // [{ code, title, description, jobZone, education, appendixA }]
+  occupationTitles: [], // [{ title, onet, soc, source }] O*NET and common job titles mapped to SOC codes
+  zipCounties: null, // { zip: [[fips, landSharePercent]] } optional, loaded on first ZIP search
+  places: null,      // { ST: { placeName: [fips] } } optional, loaded on first city search
+  locationIndexRequest: null,
+  provider: null,    // Where data comes from, see DataProvider.createManifestProvider
+  dataset: null,     // { name, version, source, generated, manifestUrl, files } of the loaded manifest
+  datasetError: null, // Why a custom dataset failed to load when the bundled one was used instead
+  dataErrorListener: null, // Called with the DataError of a wage chunk that is missing or corrupt
 
   // Loading state
   loaded: false,
   loading: false,
+  occupationRequests: {}, // { "year/socCode": Promise } for wage chunks loaded or in flight
+
+  // Thresholds are annualized with this many hours (must match HOURS_PER_YEAR in process_oflc_data.py)
+  HOURS_PER_YEAR: 2080,
+
+  // Salary input pay periods (perYear = number of pay periods in a year)
+  payPeriods: {
+    hourly: { label: 'Hourly', suffix: '/hr', perYear: null },
+    weekly: { label: 'Weekly', suffix: '/wk', perYear: 52 },
+    biweekly: { label: 'Bi-weekly', suffix: '/2wk', perYear: 26 },
+    monthly: { label: 'Monthly', suffix: '/mo', perYear: 12 },
+    annual: { label: 'Annual', suffix: '/yr', perYear: 1 }
+  },
+
+  // O*NET job zones with the experience OFLC treats as normal for each zone
+  jobZones: {
+    1: { label: 'Little or No Preparation Needed', experience: 'Up to 3 months' },
+    2: { label: 'Some Preparation Needed', experience: 'Over 3 months, up to 1 year' },
+    3: { label: 'Medium Preparation Needed', experience: 'Over 1 year, up to 2 years' },
+    4: { label: 'Considerable Preparation Needed', experience: 'Over 2 years, up to 4 years' },
+    5: { label: 'Extensive Preparation Needed', experience: 'Over 4 years' }
+  },
 
   /**
-   * Load all data files
+   * Load geography, county and occupation indexes from the dataset manifest.
+   * Wage thresholds are fetched per occupation with loadOccupation().
+   * A custom dataset (wage-data-manifest meta tag) that fails to load falls back to the bundled one
+   * @throws {DataProvider.DataError} When a file is missing, corrupt or has the wrong format
    */
   async loadData() {
     if (this.loaded || this.loading) return;
@@ -24,27 +62,23 @@ const WageData = {
     try {
       console.log('Loading OFLC wage data...');
 
-      const [wagesRes, geoRes, countiesRes, occupationsRes] = await Promise.all([
-        fetch('data/wages.json'),
-        fetch('data/geography.json'),
-        fetch('data/counties.json'),
-        fetch('data/occupations.json')
-      ]);
-
-      if (!wagesRes.ok || !geoRes.ok || !countiesRes.ok || !occupationsRes.ok) {
-        throw new Error('Failed to load one or more data files');
+      const provider = this.provider || DataProvider.createManifestProvider();
+      const custom = !this.provider && provider.manifestUrl !== DataProvider.DEFAULT_MANIFEST_URL;
+      try {
+        await this.loadDataset(provider);
+      } catch (error) {
+        if (!custom) throw error;
+        console.error(`Dataset ${provider.manifestUrl} failed to load, using the bundled dataset:`, error);
+        this.datasetError = error;
+        await this.loadDataset(DataProvider.createManifestProvider(DataProvider.DEFAULT_MANIFEST_URL));
       }
 
-      this.wages = await wagesRes.json();
-      this.geography = await geoRes.json();
-      this.counties = await countiesRes.json();
-      this.occupations = await occupationsRes.json();
-
       this.loaded = true;
-      console.log('OFLC wage data loaded successfully');
-      console.log(`  ${Object.keys(this.wages).length} areas`);
+      console.log(`OFLC wage data loaded successfully (${this.dataset.version})`);
+      console.log(`  ${Object.keys(this.geography).length} areas`);
       console.log(`  ${Object.keys(this.counties).length} counties`);
       console.log(`  ${this.occupations.length} occupations`);
+      console.log(`  ${this.years.length} wage year(s), current ${this.currentYear}`);
 
     } catch (error) {
       console.error('Error loading wage data:', error);
@@ -54,21 +88,217 @@ const WageData = {
     }
   },
 
+  /**
+   * Load and validate a provider's manifest and index files, replacing any loaded data
+   * @param {object} provider - See DataProvider.createManifestProvider
+   */
+  async loadDataset(provider) {
+    const manifest = await provider.load();
+    const problems = DataProvider.validateManifest(manifest);
+    if (problems.length) {
+      throw new DataProvider.DataError(provider.manifestUrl || 'Manifest', 'is not a valid dataset manifest', problems.join('; '));
+    }
+
+    const [geography, counties, countyAreas, occupations, occupationTitles] = await Promise.all(
+      DataProvider.REQUIRED_FILES.map(async key => {
+        const data = await provider.fetchFile(key);
+        DataProvider.checkFile(key, data, manifest.files[key].url);
+        return data;
+      }));
+
+    this.provider = provider;
+    this.dataset = {
+      name: manifest.name || 'Wage data',
+      version: manifest.version,
+      source: manifest.source || null,
+      generated: manifest.generated || null,
+      manifestUrl: provider.manifestUrl || null,
+      files: Object.keys(manifest.files)
+    };
+    this.years = manifest.years.map(({ id, label, effective }) => ({ id, label, effective }));
+    this.wagesByYear = {};
+    this.occupationRequests = {};
+    this.years.forEach(year => { this.wagesByYear[year.id] = {}; });
+    this.setYear(this.years[this.years.length - 1].id);
+
+    this.geography = geography;
+    this.counties = counties;
+    this.countyAreas = countyAreas;
+    this.countyFipsIndex = null;
+    this.occupations = occupations;
+    this.occupationTitles = occupationTitles;
+  },
+
+  /**
+   * Replace the data source, e.g. with a test fixture (call before loadData)
+   * @param {object} provider - { load, fetchFile, fetchWages }, see DataProvider.createManifestProvider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.loaded = false;
+  },
+
+  /**
+   * Report wage chunks that fail to load after the indexes loaded (loadData throws for the indexes)
+   * @param {Function} callback - Receives a DataProvider.DataError
+   */
+  onDataError(callback) {
+    this.dataErrorListener = callback;
+  },
+
+  /**
+   * Whether the loaded dataset includes a file
+   * @param {string} key - Manifest file key, e.g. "zipCounties"
+   */
+  hasFile(key) {
+    return !!this.dataset && this.dataset.files.includes(key);
+  },
+
+  /**
+   * Load and validate one of the dataset's optional files
+   * @param {string} key - Manifest file key, e.g. "costOfLiving"
+   * @returns {Promise<object|null>} null when the dataset doesn't include the file
+   */
+  async loadFile(key) {
+    const data = await this.provider.fetchFile(key);
+    if (data !== null) DataProvider.checkFile(key, data, key);
+    return data;
+  },
+
+  /**
+   * Select the wage year used by getWages/calculateWageLevel when no year is passed
+   * @param {string} yearId - e.g. "2025-26"
+   * @returns {boolean} Whether the year exists
+   */
+  setYear(yearId) {
+    if (!this.wagesByYear[yearId]) return false;
+    this.currentYear = yearId;
+    this.wages = this.wagesByYear[yearId];
+    return true;
+  },
+
+  /**
+   * Get wage year metadata
+   * @param {string} yearId
+   * @returns {object|null} { id, label, effective }
+   */
+  getYear(yearId) {
+    return this.years.find(year => year.id === yearId) || null;
+  },
+
+  /**
+   * Load the wage chunk for one occupation (cached, safe to call repeatedly)
+   * @param {string} socCode - SOC occupation code
+   * @param {string} [yearId] - Wage year, defaults to the selected year
+   * @returns {Promise<boolean>} Whether wage data is available for the occupation
+   */
+  loadOccupation(socCode, yearId = this.currentYear) {
+    const yearWages = this.wagesByYear[yearId];
+    if (!socCode || !yearWages) return Promise.resolve(false);
+
+    const key = `${yearId}/${socCode}`;
+    if (this.occupationRequests[key]) return this.occupationRequests[key];
+
+    const request = this.provider.fetchWages(yearId, socCode)
+      .then(areaWages => {
+        DataProvider.checkFile('wages', areaWages, `${yearId}/${socCode}`);
+        // Merge into the { areaCode: { socCode: levels } } lookup
+        for (const [areaCode, levels] of Object.entries(areaWages)) {
+          if (!yearWages[areaCode]) yearWages[areaCode] = {};
+          yearWages[areaCode][socCode] = levels;
+        }
+        return true;
+      })
+      .catch(error => {
+        console.error('Error loading occupation wages:', error);
+        delete this.occupationRequests[key]; // Allow a retry
+        // A published occupation's chunk should exist and be intact, so tell the user instead of showing "no data"
+        if (error instanceof DataProvider.DataError && this.getOccupation(socCode) && this.dataErrorListener) {
+          this.dataErrorListener(error);
+        }
+        return false;
+      });
+
+    this.occupationRequests[key] = request;
+    return request;
+  },
+
+  /**
+   * Load wage chunks for several occupations and years in parallel
+   * @param {Array} socCodes - SOC occupation codes (falsy entries are ignored)
+   * @param {Array} [yearIds] - Wage years (falsy entries are ignored), defaults to the selected year
+   * @returns {Promise}
+   */
+  loadOccupations(socCodes, yearIds = [this.currentYear]) {
+    const codes = [...new Set(socCodes.filter(Boolean))];
+    const years = [...new Set(yearIds.filter(Boolean))];
+    return Promise.all(years.flatMap(year => codes.map(code => this.loadOccupation(code, year))));
+  },
+
+  /**
+   * Convert pay in a given period to an hourly rate
+   * @param {number} amount - Pay per period
+   * @param {object} payBasis - { period, hoursPerWeek }
+   * @returns {number} Hourly rate
+   */
+  toHourlyRate(amount, payBasis) {
+    const period = this.payPeriods[payBasis.period];
+    if (!period || !period.perYear) return amount;
+    return amount * period.perYear / (payBasis.hoursPerWeek * 52);
+  },
+
+  /**
+   * Convert an hourly rate to pay per period
+   * @param {number} rate - Hourly rate
+   * @param {object} payBasis - { period, hoursPerWeek }
+   * @returns {number} Pay per period
+   */
+  fromHourlyRate(rate, payBasis) {
+    const period = this.payPeriods[payBasis.period];
+    if (!period || !period.perYear) return rate;
+    return rate * payBasis.hoursPerWeek * 52 / period.perYear;
+  },
+
+  /**
+   * Express a full-time annual threshold in another pay period, rounded up so that pay equal
+   * to the result always meets the annual threshold (161,637/yr is $77.72/hr, not $77.71)
+   * @param {number} annual - Annual amount at HOURS_PER_YEAR
+   * @param {object} payBasis - { period, hoursPerWeek }
+   * @returns {number} Amount per period (cents for hourly, whole dollars otherwise)
+   */
+  convertAnnualThreshold(annual, payBasis) {
+    const amount = this.fromHourlyRate(annual / this.HOURS_PER_YEAR, payBasis);
+    const unit = payBasis.period === 'hourly' ? 100 : 1;
+    return Math.ceil(amount * unit - 1e-6) / unit; // Tolerance keeps exact amounts like $60.00 from rounding up
+  },
+
   /**
    * Get wage thresholds for a specific area and occupation
    * @param {string} areaCode - OFLC area code
    * @param {string} socCode - SOC occupation code
+   * @param {object} [payBasis] - { period, hoursPerWeek }; thresholds are annual when omitted
+   * @param {string} [yearId] - Wage year, defaults to the selected year
    * @returns {object|null} Wage thresholds { l1, l2, l3, l4 }
    */
-  getWages(areaCode, socCode) {
-    if (!this.wages || !areaCode || !socCode) return null;
+  getWages(areaCode, socCode, payBasis = null, yearId = null) {
+    const wages = yearId ? this.wagesByYear[yearId] : this.wages;
+    if (!wages || !areaCode || !socCode) return null;
 
-    const areaData = this.wages[areaCode];
+    const areaData = wages[areaCode];
     if (!areaData) return null;
 
     const levels = areaData[socCode];
     if (!levels) return null;
 
+    if (payBasis && !(payBasis.period === 'annual' && payBasis.hoursPerWeek === 40)) {
+      return {
+        l1: this.convertAnnualThreshold(levels[0], payBasis),
+        l2: this.convertAnnualThreshold(levels[1], payBasis),
+        l3: this.convertAnnualThreshold(levels[2], payBasis),
+        l4: this.convertAnnualThreshold(levels[3], payBasis)
+      };
+    }
+
     return {
       l1: levels[0],
       l2: levels[1],
@@ -79,13 +309,15 @@ const WageData = {
 
   /**
    * Calculate wage level for a given salary
-   * @param {number} salary - Annual salary in USD
+   * @param {number} salary - Pay per period (annual USD when payBasis is omitted)
    * @param {string} areaCode - OFLC area code
    * @param {string} socCode - SOC occupation code
+   * @param {object} [payBasis] - { period, hoursPerWeek } the salary is expressed in
+   * @param {string} [yearId] - Wage year, defaults to the selected year
    * @returns {number} Wage level (0 = below L1, 1, 2, 3, or 4)
    */
-  calculateWageLevel(salary, areaCode, socCode) {
-    const wages = this.getWages(areaCode, socCode);
+  calculateWageLevel(salary, areaCode, socCode, payBasis = null, yearId = null) {
+    const wages = this.getWages(areaCode, socCode, payBasis, yearId);
     if (!wages) return -1; // No data available
 
     if (salary >= wages.l4) return 4;
@@ -95,6 +327,71 @@ const WageData = {
     return 0;
   },
 
+  /**
+   * Find every area where a salary reaches a target level (reverse search)
+   * @param {number} salary - Pay per period (annual USD when payBasis is omitted)
+   * @param {string} socCode - SOC occupation code
+   * @param {number} targetLevel - 1-4
+   * @param {object} [payBasis] - { period, hoursPerWeek } the salary is expressed in
+   * @returns {Array} [{ areaCode, areaName, state, level, threshold, margin, marginPercent }], largest margin first
+   */
+  findAreasReachingLevel(salary, socCode, targetLevel, payBasis = null) {
+    if (!this.wages) return [];
+
+    const results = [];
+    for (const areaCode of Object.keys(this.wages)) {
+      const wages = this.getWages(areaCode, socCode, payBasis);
+      const threshold = wages ? wages[`l${targetLevel}`] : null;
+      if (!threshold || salary < threshold) continue;
+
+      const area = this.getAreaInfo(areaCode);
+      results.push({
+        areaCode,
+        areaName: area ? area.areaName : areaCode,
+        state: area ? area.state : null,
+        level: this.calculateWageLevel(salary, areaCode, socCode, payBasis),
+        threshold,
+        margin: salary - threshold,
+        marginPercent: (salary - threshold) / threshold * 100
+      });
+    }
+
+    return results.sort((a, b) => b.marginPercent - a.marginPercent);
+  },
+
+  /**
+   * Average annual growth of an occupation's thresholds between the oldest and newest loaded wage years.
+   * Uses the area's own history, or the median across areas when the area is missing from either year
+   * @param {string} areaCode - OFLC area code
+   * @param {string} socCode - SOC occupation code (its chunks must be loaded for both years)
+   * @returns {object|null} { rate: annual %, fromYear, toYear, scope: 'area' | 'national' } or null with one wage year
+   */
+  getThresholdInflation(areaCode, socCode) {
+    if (this.years.length < 2) return null;
+
+    const from = this.years[0];
+    const to = this.years[this.years.length - 1];
+    const span = (new Date(to.effective) - new Date(from.effective)) / (365.25 * 24 * 3600 * 1000) || this.years.length - 1;
+
+    // Compound annual growth averaged over the four levels
+    const growth = (code) => {
+      const before = this.getWages(code, socCode, null, from.id);
+      const after = this.getWages(code, socCode, null, to.id);
+      if (!before || !after) return null;
+      const rates = [1, 2, 3, 4]
+        .filter(level => before[`l${level}`] > 0 && after[`l${level}`] > 0)
+        .map(level => Math.pow(after[`l${level}`] / before[`l${level}`], 1 / span) - 1);
+      return rates.length ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length * 100 : null;
+    };
+
+    const areaRate = growth(areaCode);
+    if (areaRate !== null) return { rate: areaRate, fromYear: from.id, toYear: to.id, scope: 'area' };
+
+    const rates = Object.keys(this.wagesByYear[to.id] || {}).map(growth).filter(rate => rate !== null).sort((a, b) => a - b);
+    if (!rates.length) return null;
+    return { rate: rates[Math.floor(rates.length / 2)], fromYear: from.id, toYear: to.id, scope: 'national' };
+  },
+
   /**
    * Get area code for a county
    * @param {string} countyKey - "County Name, ST" format
@@ -135,6 +432,104 @@ const WageData = {
     return results;
   },
 
+  /**
+   * Find counties by name, ignoring case and suffixes like "County" or "Parish"
+   * @param {string} name - County name, optionally as "County, ST"
+   * @param {string} [stateAbbr] - Restrict to a state (overrides a ", ST" suffix)
+   * @returns {Array} [{ key, county, state, areaCode, areaName }]; more than one means ambiguous
+   */
+  findCounties(name, stateAbbr = null) {
+    if (!this.counties || !name) return [];
+
+    const match = String(name).trim().match(/^(.*?),\s*([A-Za-z]{2})$/);
+    const state = (stateAbbr || (match ? match[2] : '')).toUpperCase();
+    const normalize = text => text.toLowerCase()
+      .replace(/^st\.? /, 'saint ')
+      .replace(/ (county|parish|borough|census area|city and borough|municipality|municipio)$/, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    const target = normalize(match ? match[1] : String(name));
+    const exactKey = `${String(match ? match[1] : name).trim()}, ${state}`.toLowerCase();
+
+    const results = [];
+    for (const [key, data] of Object.entries(this.counties)) {
+      if (state && data.state !== state) continue;
+      if (normalize(data.county) !== target && normalize(data.county.replace(/ city$/, '')) !== target) continue;
+      results.push({ key, county: data.county, state: data.state, areaCode: data.area, areaName: data.areaName });
+    }
+
+    // "Fairfax County, VA" names one of Fairfax County and Fairfax city
+    const exact = results.filter(result => result.key.toLowerCase() === exactKey);
+    return exact.length === 1 ? exact : results;
+  },
+
+  /**
+   * Load the ZIP and city indexes (built by the pipeline from the Census relationship files,
+   * or GeoNames postal codes); files missing from the manifest leave zipCounties/places null
+   * @returns {Promise}
+   */
+  loadLocationIndex() {
+    if (!this.locationIndexRequest) {
+      const load = key => this.loadFile(key).catch(error => {
+        console.warn(`Location index ${key} unavailable:`, error.message);
+        return null;
+      });
+      this.locationIndexRequest = Promise.all([load('zipCounties'), load('places')])
+        .then(([zips, places]) => {
+          this.zipCounties = zips;
+          this.places = places;
+        });
+    }
+    return this.locationIndexRequest;
+  },
+
+  /**
+   * Describe map counties (by FIPS) with their OFLC areas
+   * @returns {Array} [{ fips, county, state, areaCode, areaName }] for counties with an area
+   */
+  describeCountyFips(fipsList) {
+    return fipsList.map(fips => {
+      const entry = this.getCountyArea(fips);
+      if (!entry) return null;
+      const area = this.getAreaInfo(entry.area);
+      return { fips: entry.fips, county: entry.county, state: entry.state, areaCode: entry.area, areaName: area ? area.areaName : entry.area };
+    }).filter(Boolean);
+  },
+
+  /**
+   * Counties a ZIP code (ZCTA) falls in; call loadLocationIndex() first
+   * @param {string} zip - 5-digit ZIP code (ZIP+4 is accepted)
+   * @returns {Array|null} [{ fips, county, state, areaCode, areaName, share }] largest land share first,
+   *   or null when the ZIP index is not available
+   */
+  lookupZip(zip) {
+    if (!this.zipCounties) return null;
+    const parts = this.zipCounties[String(zip).trim().substring(0, 5)] || [];
+    const shares = Object.fromEntries(parts);
+    return this.describeCountyFips(parts.map(([fips]) => fips)).map(entry => ({ ...entry, share: shares[entry.fips] }));
+  },
+
+  /**
+   * Cities and towns starting with a name, with the counties they lie in; call loadLocationIndex() first
+   * @param {string} name - City name, e.g. "San Jose"
+   * @param {string} stateAbbr - State abbreviation
+   * @param {number} limit - Maximum places
+   * @returns {Array|null} [{ place, state, counties: [...describeCountyFips] }] exact name first,
+   *   or null when the city index is not available
+   */
+  lookupCity(name, stateAbbr, limit = 5) {
+    if (!this.places) return null;
+    const statePlaces = this.places[String(stateAbbr).toUpperCase()] || {};
+    const query = String(name).trim().toLowerCase();
+    if (!query) return [];
+
+    return Object.keys(statePlaces)
+      .filter(place => place.toLowerCase().startsWith(query))
+      .sort((a, b) => (b.toLowerCase() === query) - (a.toLowerCase() === query) || a.length - b.length)
+      .slice(0, limit)
+      .map(place => ({ place, state: stateAbbr.toUpperCase(), counties: this.describeCountyFips(statePlaces[place]) }));
+  },
+
   /**
    * Get all counties in the dataset
    * @returns {Array} List of county keys
@@ -154,6 +549,69 @@ const WageData = {
     return this.geography[areaCode] || null;
   },
 
+  /**
+   * States an area's counties lie in (geography keeps only one state per area)
+   * @param {string} areaCode
+   * @returns {Array} State abbreviations, principal state first (e.g. ["NY", "NJ", "PA"])
+   */
+  getAreaStates(areaCode) {
+    const area = this.getAreaInfo(areaCode);
+    if (!area) return [];
+
+    // Metro area names end with their states in order of population, e.g. ", NY-NJ"
+    const named = area.areaName.match(/, ([A-Z]{2}(?:-[A-Z]{2})*)$/);
+    const states = new Set(named ? named[1].split('-') : [area.state]);
+    for (const entry of Object.values(this.counties || {})) {
+      if (entry.area === areaCode) states.add(entry.state);
+    }
+    return [...states];
+  },
+
+  /**
+   * Look up the OFLC area of a map county feature
+   * @param {string|number} fips - Feature id (5-digit county FIPS)
+   * @returns {object|null} { fips, area, county, state }
+   */
+  getCountyArea(fips) {
+    if (!this.countyAreas) return null;
+    const id = String(fips).padStart(5, '0');
+    const entry = this.countyAreas[id];
+    if (!entry) return null;
+    return { fips: id, area: entry.area, county: entry.county, state: this.fipsToState[id.substring(0, 2)] || null };
+  },
+
+  /**
+   * Find the map features drawn for an OFLC county
+   * (Connecticut planning regions can cover several legacy county features)
+   * @param {string} countyName - OFLC county name, e.g. "Fairfax city"
+   * @param {string} stateAbbr - State abbreviation
+   * @returns {Array} FIPS codes
+   */
+  getCountyFips(countyName, stateAbbr) {
+    if (!this.countyAreas) return [];
+
+    if (!this.countyFipsIndex) {
+      this.countyFipsIndex = {};
+      for (const [fips, entry] of Object.entries(this.countyAreas)) {
+        const key = `${entry.county}|${this.fipsToState[fips.substring(0, 2)]}`;
+        (this.countyFipsIndex[key] = this.countyFipsIndex[key] || []).push(fips);
+      }
+    }
+
+    return this.countyFipsIndex[`${countyName}|${stateAbbr}`] || [];
+  },
+
+  /**
+   * List map features without an OFLC area (see the report printed by process_oflc_data.py)
+   * @param {Array} features - GeoJSON county features
+   * @returns {Array} [{ fips, name }]
+   */
+  findUnmatchedFeatures(features) {
+    return features
+      .filter(feature => !this.getCountyArea(feature.id))
+      .map(feature => ({ fips: String(feature.id).padStart(5, '0'), name: feature.properties?.name || '' }));
+  },
+
   // FIPS state codes to abbreviations (for map integration)
   fipsToState: {
     '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA',
@@ -177,6 +635,83 @@ const WageData = {
     return this.occupations || [];
   },
 
+  /**
+   * Get one occupation with its description and requirements
+   * @param {string} socCode - SOC code
+   * @returns {object|null} { code, title, description, jobZone, education, appendixA }
+   */
+  getOccupation(socCode) {
+    return this.getOccupations().find(occ => occ.code === socCode) || null;
+  },
+
+  /**
+   * Score how well a title matches a search query (0 = no match)
+   * @param {string} title - Title to test
+   * @param {string} query - Lowercase search query
+   * @returns {number}
+   */
+  scoreTitleMatch(title, query) {
+    const text = title.toLowerCase();
+    if (text === query) return 100;
+    if (text.startsWith(query)) return 80;
+    const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (new RegExp(`\\b${escaped}`).test(text)) return 60; // Starts a word
+    if (text.includes(query)) return 40;
+
+    // Every word present in any order ("engineer software")
+    const words = query.split(/\s+/).filter(Boolean);
+    if (words.length > 1 && words.every(word => text.includes(word))) return 30;
+    return 0;
+  },
+
+  /**
+   * Search occupations by OES title, SOC code, or O*NET / common job title
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum results
+   * @returns {Array} Ranked [{ code, title, matchedTitle, source, score }]; matchedTitle is set
+   *   when the match came from the title crosswalk
+   */
+  searchOccupations(query, limit = 50) {
+    const lowerQuery = (query || '').trim().toLowerCase();
+    if (!lowerQuery) return [];
+
+    const titleBySoc = {};
+    this.occupations.forEach(occ => { titleBySoc[occ.code] = occ.title; });
+
+    const results = [];
+
+    // Direct occupation matches rank slightly above crosswalk titles with the same score
+    this.occupations.forEach(occ => {
+      const score = occ.code.startsWith(lowerQuery) ? 90 : this.scoreTitleMatch(occ.title, lowerQuery);
+      if (score > 0) {
+        results.push({ code: occ.code, title: occ.title, matchedTitle: null, source: 'oes', score: score + 5 });
+      }
+    });
+
+    const seen = new Set();
+    this.occupationTitles.forEach(entry => {
+      if (!titleBySoc[entry.soc]) return;
+      const key = `${entry.title}|${entry.soc}`;
+      if (seen.has(key)) return;
+
+      const score = this.scoreTitleMatch(entry.title, lowerQuery);
+      if (score > 0) {
+        seen.add(key);
+        results.push({
+          code: entry.soc,
+          title: titleBySoc[entry.soc],
+          matchedTitle: entry.title,
+          source: entry.source,
+          score
+        });
+      }
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || (a.matchedTitle || a.title).localeCompare(b.matchedTitle || b.title))
+      .slice(0, limit);
+  },
+
   // State abbreviations to names
   stateNames: {
     'AL': 'Alabama', 'AK': 'Alaska', 'AZ': 'Arizona', 'AR': 'Arkansas',
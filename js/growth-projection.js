@@ -0,0 +1,176 @@
+/**
+ * Growth Projection Module
+ * Charts a salary with annual raises against an area's thresholds growing at an assumed rate,
+ * marking the years where the wage level changes
+ */
+
+const GrowthProjection = (function () {
+    'use strict';
+
+    const LEVEL_LABELS = ['Below L1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+    const LEVEL_COLORS = ['var(--level-below)', 'var(--level-1)', 'var(--level-2)', 'var(--level-3)', 'var(--level-4)']; // CSS variables follow the selected palette
+    const LEVEL_TEXT_COLORS = ['var(--level-below-text)', 'var(--level-1-text)', 'var(--level-2-text)', 'var(--level-3-text)', 'var(--level-4-text)'];
+    const SALARY_COLOR = '#1e3a8a';
+    const CHART = { width: 640, height: 300, margin: { top: 24, right: 56, bottom: 36, left: 76 } };
+
+    /**
+     * Label of the wage year offset years after a "2025-26" style year id
+     */
+    function yearLabel(yearId, offset) {
+        const match = /^(\d{4})-\d{2}$/.exec(yearId || '');
+        if (!match) return offset === 0 ? 'Now' : `+${offset}y`;
+        const start = parseInt(match[1]) + offset;
+        return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * One line per level change, or a note that the level holds
+     */
+    function describeChanges(projection, yearId) {
+        const changes = projection.filter(point => point.changed);
+        const last = projection[projection.length - 1];
+        if (changes.length === 0) {
+            return `You stay at <strong>${LEVEL_LABELS[last.level]}</strong> through ${yearLabel(yearId, last.offset)}.`;
+        }
+        return changes.map(point => {
+            const before = projection[point.offset - 1].level;
+            const direction = point.level > before ? '⬆️' : '⬇️';
+            return `${direction} ${LEVEL_LABELS[before]} → <strong>${LEVEL_LABELS[point.level]}</strong> in ${yearLabel(yearId, point.offset)}`;
+        }).join('<br>');
+    }
+
+    /**
+     * Draw salary and threshold lines
+     */
+    function drawChart(container, projection, yearId, format) {
+        const { width, height, margin } = CHART;
+        const last = projection[projection.length - 1];
+        const values = projection.flatMap(point => [point.salary, point.thresholds.l1, point.thresholds.l4]);
+
+        const x = d3.scaleLinear()
+            .domain([0, last.offset])
+            .range([margin.left, width - margin.right]);
+        const y = d3.scaleLinear()
+            .domain([d3.min(values) * 0.95, d3.max(values) * 1.05])
+            .nice()
+            .range([height - margin.bottom, margin.top]);
+
+        const svg = d3.select(container).append('svg')
+            .attr('class', 'growth-chart')
+            .attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('role', 'img')
+            .attr('aria-label', 'Projected salary against wage level thresholds by year');
+
+        svg.append('g')
+            .attr('class', 'growth-axis')
+            .attr('transform', `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(Math.min(last.offset, 10)).tickFormat(offset =>
+                Number.isInteger(offset) ? yearLabel(yearId, offset) : ''));
+        svg.append('g')
+            .attr('class', 'growth-axis')
+            .attr('transform', `translate(${margin.left},0)`)
+            .call(d3.axisLeft(y).ticks(6).tickFormat(format.pay));
+
+        // Threshold lines, labelled at the right edge
+        [1, 2, 3, 4].forEach(level => {
+            const key = `l${level}`;
+            svg.append('path')
+                .datum(projection)
+                .attr('class', 'growth-threshold')
+                .style('stroke', LEVEL_COLORS[level])
+                .attr('d', d3.line().x(point => x(point.offset)).y(point => y(point.thresholds[key])));
+            svg.append('text')
+                .attr('class', 'growth-line-label')
+                .attr('x', width - margin.right + 6)
+                .attr('y', y(last.thresholds[key]))
+                .attr('dy', '0.35em')
+                .style('fill', LEVEL_COLORS[level])
+                .text(`L${level}`);
+        });
+
+        svg.append('path')
+            .datum(projection)
+            .attr('class', 'growth-salary')
+            .attr('stroke', SALARY_COLOR)
+            .attr('d', d3.line().x(point => x(point.offset)).y(point => y(point.salary)));
+
+        const points = svg.selectAll('.growth-point')
+            .data(projection)
+            .enter().append('circle')
+            .attr('class', point => `growth-point${point.changed ? ' growth-change' : ''}`)
+            .attr('cx', point => x(point.offset))
+            .attr('cy', point => y(point.salary))
+            .attr('r', point => (point.changed ? 7 : 4))
+            .style('fill', point => LEVEL_COLORS[point.level]);
+        points.append('title')
+            .text(point => `${yearLabel(yearId, point.offset)}: ${format.pay(point.salary)} - ${LEVEL_LABELS[point.level]}`);
+
+        svg.selectAll('.growth-change-label')
+            .data(projection.filter(point => point.changed))
+            .enter().append('text')
+            .attr('class', 'growth-change-label')
+            .attr('x', point => x(point.offset))
+            .attr('y', point => y(point.salary) - 12)
+            .attr('text-anchor', 'middle')
+            .text(point => LEVEL_LABELS[point.level]);
+    }
+
+    /**
+     * Render the projection chart, level changes and a year-by-year table
+     * @param {Array|null} projection - From SalaryCalculator.projectSalaryGrowth
+     * @param {string} yearId - Current wage year, the first year of the projection
+     * @param {object} format - { pay: amount => string, period: e.g. "annual" }
+     */
+    function render(container, projection, yearId, format) {
+        if (!container) return;
+
+        if (!projection) {
+            container.innerHTML = '<p class="growth-empty">Select a county with wage data for this occupation to project your level.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <p class="growth-summary" aria-live="polite">${describeChanges(projection, yearId)}</p>
+            <div class="growth-chart-wrapper"></div>
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table growth-table">
+                    <thead>
+                        <tr>
+                            <th>Wage Year</th>
+                            <th>Salary</th>
+                            <th>Level 1</th>
+                            <th>Level 2</th>
+                            <th>Level 3</th>
+                            <th>Level 4</th>
+                            <th>Your Level</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${projection.map(point => `
+                            <tr class="${point.changed ? 'growth-change-row' : ''}">
+                                <td>${yearLabel(yearId, point.offset)}</td>
+                                <td><strong>${format.pay(point.salary)}</strong></td>
+                                ${[1, 2, 3, 4].map(level => `<td>${format.pay(point.thresholds[`l${level}`])}</td>`).join('')}
+                                <td class="level-cell">
+                                    <span class="level-badge" style="background-color: ${LEVEL_COLORS[point.level]}; color: ${LEVEL_TEXT_COLORS[point.level]};">${LEVEL_LABELS[point.level]}</span>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="growth-footnote">Amounts are ${format.period}. Projected thresholds are estimates; OFLC publishes new
+                thresholds each July.</p>
+        `;
+
+        drawChart(container.querySelector('.growth-chart-wrapper'), projection, yearId, format);
+    }
+
+    // Public API
+    return {
+        render,
+        yearLabel
+    };
+})();
+
+window.GrowthProjection = GrowthProjection;
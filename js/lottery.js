@@ -0,0 +1,154 @@
+/**
+ * Lottery Estimator Module
+ * Estimates H1B selection probability under the wage-weighted selection rule,
+ * where a Level N registration is entered N times into the lottery
+ */
+
+const LotteryEstimator = (function () {
+    'use strict';
+
+    // Illustrative defaults: ~344k eligible registrations (FY2026) split by an assumed level mix.
+    // Users can replace every number in the lottery assumptions panel.
+    const DEFAULT_CONFIG = {
+        registrations: { 1: 113500, 2: 148000, 3: 48000, 4: 34500 },
+        regularCap: 65000,      // Regular cap selections
+        mastersCap: 20000,      // Advanced degree exemption selections
+        mastersShare: 0.35,     // Share of registrations eligible for the master's cap
+        mastersEligible: false  // Whether the user holds a U.S. master's or higher
+    };
+
+    let config = cloneConfig(DEFAULT_CONFIG);
+    let estimates = null;  // Cached { level: { regular, masters } }
+    const listeners = [];
+
+    function cloneConfig(source) {
+        return { ...source, registrations: { ...source.registrations } };
+    }
+
+    /**
+     * Solve weighted sampling without replacement for per-entry selection probability.
+     * Uses the standard approximation P(selected) = 1 - exp(-weight * t), where t is chosen
+     * so the expected number of selections equals the number drawn.
+     * @param {Array} pools - [{ count, weight }]
+     * @param {number} selections - Number of registrations drawn
+     * @returns {Array} Selection probability per pool
+     */
+    function solveSelection(pools, selections) {
+        const total = pools.reduce((sum, p) => sum + p.count, 0);
+        if (total <= 0 || selections <= 0) return pools.map(() => 0);
+        if (selections >= total) return pools.map(() => 1);
+
+        const expected = (t) => pools.reduce((sum, p) => sum + p.count * (1 - Math.exp(-p.weight * t)), 0);
+
+        // Bisection on t: expected() grows monotonically from 0 to total
+        let lo = 0;
+        let hi = 1;
+        while (expected(hi) < selections) hi *= 2;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (expected(mid) < selections) lo = mid;
+            else hi = mid;
+        }
+
+        return pools.map(p => 1 - Math.exp(-p.weight * hi));
+    }
+
+    /**
+     * Compute probabilities for every level (regular round, then master's round)
+     */
+    function computeEstimates() {
+        const levels = [1, 2, 3, 4];
+        const pools = levels.map(level => ({ count: config.registrations[level] || 0, weight: level }));
+
+        // Round 1: all registrations compete for the regular cap
+        const regular = solveSelection(pools, config.regularCap);
+
+        // Round 2: unselected master's-eligible registrations compete for the master's cap
+        const mastersPools = pools.map((p, i) => ({
+            count: p.count * config.mastersShare * (1 - regular[i]),
+            weight: p.weight
+        }));
+        const masters = solveSelection(mastersPools, config.mastersCap);
+
+        const result = {};
+        levels.forEach((level, i) => {
+            result[level] = {
+                regular: regular[i],
+                masters: regular[i] + (1 - regular[i]) * masters[i]
+            };
+        });
+        return result;
+    }
+
+    /**
+     * Estimate selection probability for a wage level
+     * @param {number} level - Level from WageData.calculateWageLevel (0-4, -1 = no data)
+     * @param {boolean} [mastersEligible] - Defaults to the configured eligibility
+     * @returns {number|null} Probability 0-1, 0 below Level 1, null without data
+     */
+    function estimateProbability(level, mastersEligible = config.mastersEligible) {
+        if (level < 0 || level === undefined || level === null) return null;
+        if (level === 0) return 0; // Offers below Level 1 cannot support an LCA
+
+        if (!estimates) estimates = computeEstimates();
+        const estimate = estimates[Math.min(level, 4)];
+        return mastersEligible ? estimate.masters : estimate.regular;
+    }
+
+    /**
+     * Format the estimated probability for display
+     * @param {number} level - Wage level (0-4, -1 = no data)
+     * @returns {string} e.g. "~24.8% selection chance"
+     */
+    function formatProbability(level) {
+        const probability = estimateProbability(level);
+        if (probability === null) return 'No data';
+        if (level === 0) return 'Not eligible (below Level 1)';
+        return `~${(probability * 100).toFixed(1)}% selection chance`;
+    }
+
+    /**
+     * Short percentage label (tables and badges)
+     */
+    function formatPercent(level) {
+        const probability = estimateProbability(level);
+        if (probability === null) return 'N/A';
+        return `${(probability * 100).toFixed(1)}%`;
+    }
+
+    function getConfig() {
+        return cloneConfig(config);
+    }
+
+    /**
+     * Update assumptions and notify listeners
+     * @param {object} partial - Any subset of the config; registrations are merged per level
+     */
+    function setConfig(partial) {
+        config = {
+            ...config,
+            ...partial,
+            registrations: { ...config.registrations, ...(partial.registrations || {}) }
+        };
+        estimates = null;
+        listeners.forEach(listener => listener(getConfig()));
+    }
+
+    function resetConfig() {
+        setConfig(cloneConfig({ ...DEFAULT_CONFIG, mastersEligible: config.mastersEligible }));
+    }
+
+    // Public API
+    return {
+        DEFAULT_CONFIG,
+        estimateProbability,
+        formatProbability,
+        formatPercent,
+        getConfig,
+        setConfig,
+        resetConfig,
+        onChange: (listener) => listeners.push(listener)
+    };
+})();
+
+window.LotteryEstimator = LotteryEstimator;
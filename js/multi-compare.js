@@ -8,6 +8,14 @@ const MultiCompare = (function () {
 
     const MAX_LOCATIONS = 5;
     let comparedLocations = []; // Array of { areaCode, areaName, state }
+    let changeListener = null;  // Notified when the user edits the list
+
+    /**
+     * Notify the registered listener that the location list changed
+     */
+    function notifyChange() {
+        if (changeListener) changeListener(comparedLocations.map(loc => loc.areaCode));
+    }
 
     /**
      * Add location to comparison
@@ -30,9 +38,26 @@ const MultiCompare = (function () {
         const finalSalary = salary || parseInt(document.getElementById('multi-salary')?.value) || 150000;
         const finalOccupation = occupation || document.getElementById('multi-occupation')?.value || '15-1252';
         updateComparisonTable(finalSalary, finalOccupation);
+        notifyChange();
         return true;
     }
 
+    /**
+     * Replace the compared locations (used when restoring from a shared link)
+     * @param {Array} areaCodes - OFLC area codes; unknown codes are skipped
+     */
+    function setLocations(areaCodes) {
+        comparedLocations = [];
+
+        (areaCodes || []).slice(0, MAX_LOCATIONS).forEach(areaCode => {
+            const areaInfo = WageData.getAreaInfo(areaCode);
+            if (!areaInfo || comparedLocations.some(loc => loc.areaCode === areaCode)) return;
+            comparedLocations.push({ areaCode, areaName: areaInfo.areaName, state: areaInfo.state });
+        });
+
+        updateAll();
+    }
+
     /**
      * Remove location from comparison
      */
@@ -43,6 +68,7 @@ const MultiCompare = (function () {
         const salary = parseInt(document.getElementById('multi-salary')?.value) || 150000;
         const occupation = document.getElementById('multi-occupation')?.value || '15-1252';
         updateComparisonTable(salary, occupation);
+        notifyChange();
     }
 
     /**
@@ -53,6 +79,7 @@ const MultiCompare = (function () {
         const salary = parseInt(document.getElementById('multi-salary')?.value) || 150000;
         const occupation = document.getElementById('multi-occupation')?.value || '15-1252';
         updateComparisonTable(salary, occupation);
+        notifyChange();
     }
 
     /**
@@ -131,7 +158,8 @@ const MultiCompare = (function () {
         // Use provided salary and occupation (from multi-compare inputs)
         const ranked = rankByLevel(salary, occupation);
 
-        const levelColors = ['#dc2626', '#f97316', '#facc15', '#22c55e', '#15803d'];
+        const levelColors = ['var(--level-below)', 'var(--level-1)', 'var(--level-2)', 'var(--level-3)', 'var(--level-4)']; // CSS variables follow the selected palette
+        const levelTextColors = ['var(--level-below-text)', 'var(--level-1-text)', 'var(--level-2-text)', 'var(--level-3-text)', 'var(--level-4-text)'];
         const levelLabels = ['Below L1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
 
         let html = `
@@ -146,6 +174,7 @@ const MultiCompare = (function () {
                             <th>Rank</th>
                             <th>Location</th>
                             <th>Your Level</th>
+                            <th>Selection Chance</th>
                             <th>Level 1</th>
                             <th>Level 2</th>
                             <th>Level 3</th>
@@ -159,8 +188,8 @@ const MultiCompare = (function () {
         `;
 
         ranked.forEach((loc, index) => {
-            const colIndex = SalaryCalculator.getCOLIndex(loc.areaCode);
-            const levelColor = levelColors[loc.level] || '#d1d5db';
+            const colInfo = SalaryCalculator.getCOLInfo(loc.areaCode);
+            const levelColor = levelColors[loc.level] || 'var(--no-data)';
             const levelLabel = levelLabels[loc.level] || 'No Data';
 
             html += `
@@ -171,10 +200,11 @@ const MultiCompare = (function () {
                         <small>${loc.state}</small>
                     </td>
                     <td class="level-cell">
-                        <span class="level-badge" style="background-color: ${levelColor}; color: ${loc.level <= 1 ? '#fff' : '#333'};">
+                        <span class="level-badge" style="background-color: ${levelColor}; color: ${levelTextColors[loc.level] || '#333'};">
                             ${levelLabel}
                         </span>
                     </td>
+                    <td class="odds-cell">${LotteryEstimator.formatPercent(loc.level)}</td>
                     <td>$${loc.wages?.l1?.toLocaleString() || 'N/A'}</td>
                     <td>$${loc.wages?.l2?.toLocaleString() || 'N/A'}</td>
                     <td>$${loc.wages?.l3?.toLocaleString() || 'N/A'}</td>
@@ -182,7 +212,7 @@ const MultiCompare = (function () {
                     <td class="gap-cell">
                         ${loc.gap > 0 ? `+$${loc.gap.toLocaleString()}` : loc.level === 4 ? '✅ Max' : 'N/A'}
                     </td>
-                    <td>${colIndex}</td>
+                    <td class="${colInfo?.estimated ? 'col-estimated' : ''}" title="${SalaryCalculator.describeCOLSource(loc.areaCode)}">${SalaryCalculator.formatCOLIndex(loc.areaCode)}</td>
                     <td>
                         <button onclick="MultiCompare.removeLocation('${loc.areaCode}')" class="remove-btn" title="Remove">✕</button>
                     </td>
@@ -196,9 +226,63 @@ const MultiCompare = (function () {
             </div>
         `;
 
+        if (ranked.some(loc => SalaryCalculator.getCOLInfo(loc.areaCode)?.estimated)) {
+            html += '<p class="col-estimated-note">~ Estimated COL index: no measured index for this area, derived from its OFLC wage levels.</p>';
+        }
+
+        html += buildPlannerHtml(salary, ranked, levelColors, levelTextColors, levelLabels);
+
         container.innerHTML = html;
     }
 
+    /**
+     * Minimum salary per level that qualifies in every compared location
+     */
+    function buildPlannerHtml(salary, ranked, levelColors, levelTextColors, levelLabels) {
+        const { levels, missing } = SalaryCalculator.calculateMinimumSalaries(salary, ranked);
+        if (levels.every(row => row.minimum === null)) return '';
+
+        const rows = levels.map(row => `
+            <tr class="${row.extra === 0 ? 'planner-met' : ''}">
+                <td class="level-cell">
+                    <span class="level-badge" style="background-color: ${levelColors[row.level]}; color: ${levelTextColors[row.level]};">
+                        ${levelLabels[row.level]}
+                    </span>
+                </td>
+                <td><strong>$${row.minimum.toLocaleString()}</strong></td>
+                <td>${row.binding.areaName}</td>
+                <td class="gap-cell">
+                    ${row.extra > 0
+                        ? `+$${row.extra.toLocaleString()} (+${(row.extra / salary * 100).toFixed(1)}%)`
+                        : '✅ Current offer qualifies'}
+                </td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="salary-planner">
+                <h3>Minimum salary for the same level everywhere</h3>
+                <p class="planner-subtitle">Lowest salary that reaches each level in all ${ranked.length - missing.length}
+                    location${ranked.length - missing.length === 1 ? '' : 's'} with wage data. The binding location
+                    has the highest threshold.</p>
+                <div class="comparison-table-wrapper">
+                    <table class="comparison-table planner-table">
+                        <thead>
+                            <tr>
+                                <th>Level</th>
+                                <th>Minimum Salary</th>
+                                <th>Binding Location</th>
+                                <th>Extra vs $${salary.toLocaleString()} Offer</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${missing.length ? `<p class="col-estimated-note">No wage data for this occupation in ${missing.map(loc => loc.areaName).join(', ')}; not included.</p>` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Initialize the comparison feature
      */
@@ -216,6 +300,8 @@ const MultiCompare = (function () {
         removeLocation,
         clearAll,
         updateAll,
+        setLocations,
+        onChange: (callback) => { changeListener = callback; },
         getLocations: () => comparedLocations,
         updateTable: updateComparisonTable
     };
@@ -0,0 +1,167 @@
+/**
+ * Offer Negotiation Module
+ * Turns an offer (base plus sign-on, bonus and equity) into base salary targets for each wage level
+ * and a plain-text summary to share with the employer. Only base salary counts toward the level
+ */
+
+const OfferNegotiation = (function () {
+    'use strict';
+
+    const LEVEL_LABELS = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+
+    const dollars = amount => `$${Math.round(amount).toLocaleString()}`;
+    const signedDollars = amount => `${amount < 0 ? '-' : '+'}${dollars(Math.abs(amount))}`;
+
+    /**
+     * Offer components other than base, as "label (amount)" parts
+     * @param {object} offer - { signOn, bonus, equity } annual dollars
+     */
+    function describeExtras(offer) {
+        return [
+            offer.signOn > 0 ? `sign-on bonus (${dollars(offer.signOn)})` : null,
+            offer.bonus > 0 ? `annual bonus (${dollars(offer.bonus)})` : null,
+            offer.equity > 0 ? `equity (${dollars(offer.equity)}/yr)` : null
+        ].filter(Boolean);
+    }
+
+    /**
+     * "a", "a and b", "a, b and c"
+     */
+    function joinList(parts) {
+        return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts.join('');
+    }
+
+    /**
+     * Levels the annual bonus could reach if part of it moved into base, keeping total pay the same
+     * @param {number} annualFactor - Converts the base unit to annual pay
+     */
+    function findRebalances(targets, offer, annualFactor) {
+        if (!(offer.bonus > 0)) return [];
+        return targets.levels
+            .filter(level => !level.met && level.raise * annualFactor <= offer.bonus)
+            .map(level => ({ level: level.level, amount: level.raise * annualFactor }));
+    }
+
+    /**
+     * Plain-text summary for the conversation with the employer
+     * @param {object} context - { occupation, socCode, areaName, wageYear, annualFactor, taxLocation }
+     * @param {object} format - { pay: amount => string, suffix }
+     */
+    function buildSummary(targets, offer, context, format) {
+        const current = targets.levels[Math.max(0, targets.currentLevel - 1)];
+        const extras = describeExtras(offer);
+        const lines = [
+            `Offer review: ${context.occupation} (${context.socCode}) in ${context.areaName}, OFLC wage year ${context.wageYear}`,
+            `Base offer: ${format.pay(targets.base)}${format.suffix}, ${LEVEL_LABELS[targets.currentLevel]}` +
+                (targets.currentLevel > 0 ? ` (threshold ${format.pay(current.threshold)}${format.suffix})` : ''),
+            `Only base salary counts toward the H-1B prevailing wage level${extras.length ? `; the ${joinList(extras)} ${extras.length > 1 ? 'do' : 'does'} not` : ''}.`
+        ];
+
+        const open = targets.levels.filter(level => !level.met);
+        if (open.length) {
+            lines.push('Base salary needed for each higher level:');
+            open.forEach(level => {
+                lines.push(`- Level ${level.level}: ${format.pay(level.target)}${format.suffix} (${signedDollars(level.raise * context.annualFactor)}/yr, ` +
+                    `+${level.raisePercent.toFixed(1)}%; about ${signedDollars(level.takeHomeChange)}/yr take-home)`);
+            });
+        } else {
+            lines.push('The base offer already reaches Level 4.');
+        }
+
+        findRebalances(targets, offer, context.annualFactor).forEach(({ level, amount }) => {
+            lines.push(`- Moving ${dollars(amount)} of the annual bonus into base would reach Level ${level} at the same total pay.`);
+        });
+
+        lines.push('Source: U.S. Department of Labor OFLC prevailing wage data.');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the offer breakdown, level targets and copyable summary
+     * @param {object|null} targets - From SalaryCalculator.calculateRaiseTargets
+     */
+    function render(container, targets, offer, context, format) {
+        if (!container) return;
+
+        if (!targets) {
+            container.innerHTML = '<p class="worksheet-empty">Enter a base offer and select a county with wage data to see level targets</p>';
+            return;
+        }
+
+        const extras = describeExtras(offer);
+        const annualBase = targets.base * context.annualFactor;
+        const totalComp = annualBase + (offer.signOn || 0) + (offer.bonus || 0) + (offer.equity || 0);
+        const rebalances = findRebalances(targets, offer, context.annualFactor);
+
+        container.innerHTML = `
+            <p class="negotiation-note">ℹ️ Only <strong>base salary</strong> counts toward the prevailing wage level.
+                ${extras.length ? `The ${joinList(extras)} ${extras.length > 1 ? 'do' : 'does'} not.` : 'Sign-on bonuses, annual bonuses and equity do not.'}</p>
+            ${extras.length ? `
+                <p class="negotiation-total">First-year total compensation: <strong>${dollars(totalComp)}</strong>
+                    (${Math.round(annualBase / totalComp * 100)}% base)</p>
+            ` : ''}
+            <table class="negotiation-table">
+                <thead>
+                    <tr>
+                        <th>Level</th>
+                        <th>Base Needed</th>
+                        <th>Raise</th>
+                        <th>Take-Home Change</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${targets.levels.map(level => `
+                        <tr class="${level.met ? 'negotiation-met' : ''} ${level.level === targets.currentLevel ? 'negotiation-current' : ''}">
+                            <td>Level ${level.level}</td>
+                            <td>${format.pay(level.target)}${format.suffix}</td>
+                            ${level.met
+                                ? '<td colspan="2">✅ Met by the offer</td>'
+                                : `<td>+${format.pay(level.raise)} <small>(+${level.raisePercent.toFixed(1)}%)</small></td>
+                                   <td>${signedDollars(level.takeHomeChange)}/yr</td>`}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${rebalances.map(({ level, amount }) => `
+                <p class="worksheet-flag meets">💡 Moving ${dollars(amount)} of the annual bonus into base reaches Level ${level} at the same total pay.</p>
+            `).join('')}
+            <label class="negotiation-summary-label" for="negotiation-summary">Summary for the employer</label>
+            <textarea id="negotiation-summary" class="negotiation-summary" rows="8" readonly></textarea>
+            <div class="negotiation-actions">
+                <button type="button" class="add-location-btn" id="negotiation-copy">📋 Copy summary</button>
+                <span class="negotiation-copy-status" id="negotiation-copy-status" aria-live="polite"></span>
+            </div>
+            <p class="worksheet-note">Take-home change is annual, after federal, FICA and ${context.taxLocation} taxes
+                using the tax year and filing status of the take-home comparison.</p>
+        `;
+        container.querySelector('#negotiation-summary').value = buildSummary(targets, offer, context, format);
+    }
+
+    /**
+     * Copy text to the clipboard, falling back to selecting a textarea for older browsers
+     * @returns {Promise<boolean>} Whether the text was copied
+     */
+    async function copy(text, textarea) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            if (!textarea) return false;
+            textarea.select();
+            try {
+                return document.execCommand('copy');
+            } catch (fallbackError) {
+                return false;
+            }
+        }
+    }
+
+    // Public API
+    return {
+        render,
+        buildSummary,
+        copy
+    };
+})();
+
+window.OfferNegotiation = OfferNegotiation;
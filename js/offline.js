@@ -0,0 +1,92 @@
+/**
+ * Offline Cache Module
+ * Registers the service worker and shows which data version is cached for offline use
+ */
+
+const OfflineCache = (function () {
+    'use strict';
+
+    const SERVICE_WORKER_URL = 'sw.js';
+    const CACHE_INFO_URL = 'cache-info.json'; // Written by sw.js
+
+    /**
+     * Register the service worker (needs http(s); skipped for file:// pages)
+     * @returns {Promise<boolean>} Whether registration succeeded
+     */
+    async function register() {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return false;
+
+        try {
+            await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+            navigator.serviceWorker.addEventListener('controllerchange', renderStatus);
+            return true;
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read the cached data version
+     * @returns {Promise<object|null>} { version, years: [{ id, label }], cachedAt } or null if nothing is cached
+     */
+    async function getCacheInfo() {
+        if (!('caches' in window)) return null;
+
+        try {
+            const response = await caches.match(CACHE_INFO_URL);
+            return response ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Show online/offline state and the cached wage year in the footer
+     */
+    async function renderStatus() {
+        const element = document.getElementById('offline-status');
+        if (!element) return;
+
+        const info = await getCacheInfo();
+        const online = navigator.onLine;
+
+        if (!info || info.years.length === 0) {
+            element.textContent = online ? '' : '⚠️ Offline – data has not been cached yet';
+            element.classList.toggle('hidden', online);
+            return;
+        }
+
+        const current = info.years[info.years.length - 1];
+        const cachedAt = new Date(info.cachedAt).toLocaleDateString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric'
+        });
+        const years = info.years.map(year => year.id).join(', ');
+
+        element.textContent = online
+            ? `✅ Available offline • Cached wage data: ${years} (updated ${cachedAt})`
+            : `📴 Offline • Using cached ${current.label} wage data from ${cachedAt}`;
+        element.classList.toggle('offline', !online);
+        element.classList.remove('hidden');
+    }
+
+    /**
+     * Register the worker and keep the indicator current
+     */
+    async function init() {
+        window.addEventListener('online', renderStatus);
+        window.addEventListener('offline', renderStatus);
+
+        await register();
+        await renderStatus();
+    }
+
+    // Public API
+    return {
+        init,
+        getCacheInfo,
+        renderStatus
+    };
+})();
+
+window.OfflineCache = OfflineCache;
@@ -0,0 +1,347 @@
+/**
+ * Report Export Module
+ * Exports the salary gap, two-location and multi-location comparisons as CSV, an Excel
+ * workbook (.xlsx, written without a library) or a printable report (print to PDF)
+ */
+
+const ReportExport = (function () {
+    'use strict';
+
+    const LEVEL_LABELS = ['Below Level 1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+
+    const COLUMNS = [
+        { key: 'section', label: 'Report Section' },
+        { key: 'areaName', label: 'OFLC Area' },
+        { key: 'areaCode', label: 'Area Code' },
+        { key: 'state', label: 'State' },
+        { key: 'occupation', label: 'Occupation' },
+        { key: 'wageYear', label: 'Wage Year' },
+        { key: 'payPeriod', label: 'Pay Period' },
+        { key: 'salary', label: 'Salary', number: true },
+        { key: 'l1', label: 'Level 1', number: true },
+        { key: 'l2', label: 'Level 2', number: true },
+        { key: 'l3', label: 'Level 3', number: true },
+        { key: 'l4', label: 'Level 4', number: true },
+        { key: 'level', label: 'Computed Level' },
+        { key: 'nextLevel', label: 'Next Level' },
+        { key: 'gap', label: 'Gap to Next Level', number: true },
+        { key: 'colIndex', label: 'COL Index' }
+    ];
+
+    /**
+     * Build one report row per compared location
+     * @param {Array} entries - [{ section, areaCode, salary, socCode, payBasis }]
+     * @returns {Array} Rows keyed by COLUMNS; entries without wage data keep blank thresholds
+     */
+    function buildRows(entries) {
+        const year = WageData.getYear(WageData.currentYear);
+
+        return entries.filter(entry => entry.areaCode).map(entry => {
+            const area = WageData.getAreaInfo(entry.areaCode);
+            const occupation = WageData.getOccupation(entry.socCode);
+            const period = WageData.payPeriods[entry.payBasis?.period] || WageData.payPeriods.annual;
+            const wages = WageData.getWages(entry.areaCode, entry.socCode, entry.payBasis);
+            const level = wages ? WageData.calculateWageLevel(entry.salary, entry.areaCode, entry.socCode, entry.payBasis) : -1;
+            const next = wages && level < 4 ? wages[`l${level + 1}`] : null;
+
+            return {
+                section: entry.section,
+                areaName: area ? area.areaName : entry.areaCode,
+                areaCode: entry.areaCode,
+                state: WageData.getAreaStates(entry.areaCode).join('-'),
+                occupation: occupation ? `${occupation.title} (${occupation.code})` : entry.socCode,
+                wageYear: year ? year.label : WageData.currentYear,
+                payPeriod: period.label + (entry.payBasis?.hoursPerWeek && entry.payBasis.hoursPerWeek !== 40 ? ` (${entry.payBasis.hoursPerWeek} hrs/wk)` : ''),
+                salary: entry.salary,
+                l1: wages ? wages.l1 : null,
+                l2: wages ? wages.l2 : null,
+                l3: wages ? wages.l3 : null,
+                l4: wages ? wages.l4 : null,
+                level: wages ? LEVEL_LABELS[level] : 'No data',
+                nextLevel: !wages ? '' : level === 4 ? 'Max' : LEVEL_LABELS[level + 1],
+                gap: next !== null ? Math.round((next - entry.salary) * 100) / 100 : (wages ? 0 : null),
+                colIndex: SalaryCalculator.formatCOLIndex(entry.areaCode)
+            };
+        });
+    }
+
+    // Text starting with these is run as a formula by Excel and other spreadsheets; roster
+    // names and labels come straight from an uploaded CSV, so such cells are kept as text
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    // ===== CSV =====
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Rows as CSV text (header row first)
+     * @param {Array} [columns] - [{ key, label }], the report columns by default
+     */
+    function toCSV(rows, columns = COLUMNS) {
+        const lines = [columns.map(col => csvCell(col.label)).join(',')];
+        rows.forEach(row => lines.push(columns.map(col => csvCell(row[col.key])).join(',')));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // ===== XLSX =====
+
+    function xmlEscape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    function sheetCell(ref, value, number, style) {
+        if (value === null || value === undefined || value === '') return '';
+        const s = style ? ` s="${style}"` : '';
+        if (number && typeof value === 'number') return `<c r="${ref}"${s}><v>${value}</v></c>`;
+        // Style 3 sets quotePrefix, Excel's leading apostrophe, so formula-like text stays text
+        const quoted = FORMULA_START.test(String(value));
+        return `<c r="${ref}"${quoted ? ' s="3"' : s} t="inlineStr"><is><t>${xmlEscape(value)}</t></is></c>`;
+    }
+
+    function buildSheetXml(rows) {
+        const header = `<row r="1">${COLUMNS.map((col, i) => sheetCell(`${columnName(i)}1`, col.label, false, 1)).join('')}</row>`;
+        const body = rows.map((row, r) =>
+            `<row r="${r + 2}">${COLUMNS.map((col, i) => sheetCell(`${columnName(i)}${r + 2}`, row[col.key], col.number, col.number ? 2 : 0)).join('')}</row>`
+        ).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+            `<cols><col min="1" max="${COLUMNS.length}" width="18" customWidth="1"/></cols>` +
+            `<sheetData>${header}${body}</sheetData></worksheet>`;
+    }
+
+    const XLSX_PARTS = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets><sheet name="Wage Level Report" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>',
+        // Styles: 0 default, 1 bold header, 2 thousands separator (#,##0.##)
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="1"><numFmt numFmtId="164" formatCode="#,##0.##"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" quotePrefix="1"/></cellXfs>' +
+            '</styleSheet>'
+    };
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Uncompressed (stored) ZIP archive of { path: text } files
+     * @returns {Uint8Array}
+     */
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.entries(files).forEach(([path, text]) => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(text);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);  // Local file header signature
+            local.setUint16(4, 20, true);          // Version needed
+            local.setUint16(8, 0, true);           // Stored
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, centralParts.length / 2, true);
+        end.setUint16(10, centralParts.length / 2, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => { zip.set(part, position); position += part.length; });
+        return zip;
+    }
+
+    /**
+     * Rows as an Excel workbook
+     * @returns {Uint8Array} .xlsx file contents
+     */
+    function toXlsx(rows) {
+        return buildZip({ ...XLSX_PARTS, 'xl/worksheets/sheet1.xml': buildSheetXml(rows) });
+    }
+
+    // ===== Print / PDF =====
+
+    function formatNumber(value) {
+        if (value === null || value === undefined) return 'N/A';
+        return `$${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * Render the printable report into a container (shown only when printing)
+     */
+    function renderPrintReport(container, rows) {
+        const year = WageData.getYear(WageData.currentYear);
+        const sections = [...new Set(rows.map(row => row.section))];
+
+        container.innerHTML = `
+            <h1>H1B Wage Level Report</h1>
+            <p class="print-meta">
+                Generated ${new Date().toLocaleDateString()} • OFLC wage year ${year ? year.label : WageData.currentYear}
+                • Source: OFLC, U.S. Department of Labor
+            </p>
+            ${sections.map(section => `
+                <h2>${section}</h2>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>OFLC Area</th><th>Occupation</th><th>Salary</th>
+                            <th>Level 1</th><th>Level 2</th><th>Level 3</th><th>Level 4</th>
+                            <th>Computed Level</th><th>Gap to Next</th><th>COL Index</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.filter(row => row.section === section).map(row => `
+                            <tr>
+                                <td>${row.areaName}<br><small>${row.areaCode} • ${row.state}</small></td>
+                                <td>${row.occupation}</td>
+                                <td>${formatNumber(row.salary)}<br><small>${row.payPeriod}</small></td>
+                                <td>${formatNumber(row.l1)}</td>
+                                <td>${formatNumber(row.l2)}</td>
+                                <td>${formatNumber(row.l3)}</td>
+                                <td>${formatNumber(row.l4)}</td>
+                                <td>${row.level}</td>
+                                <td>${row.nextLevel === 'Max' ? 'At Level 4' : row.gap === null ? 'N/A' : `+${formatNumber(row.gap)} to ${row.nextLevel}`}</td>
+                                <td>${row.colIndex}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `).join('')}
+            <p class="print-meta">COL index: 100 = national average; ~ marks estimates derived from OFLC wage levels.
+                Estimate only: DOL and your attorney make the final wage level determination.</p>
+        `;
+    }
+
+    /**
+     * Print the report; browsers offer "Save as PDF" in the print dialog
+     */
+    function print(container, rows) {
+        renderPrintReport(container, rows);
+        document.body.classList.add('printing-report');
+        const cleanup = () => {
+            document.body.classList.remove('printing-report');
+            window.removeEventListener('afterprint', cleanup);
+        };
+        window.addEventListener('afterprint', cleanup);
+        window.print();
+    }
+
+    // ===== Downloads =====
+
+    /**
+     * Save contents as a file through a temporary link
+     */
+    function download(contents, filename, type) {
+        const url = URL.createObjectURL(new Blob([contents], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function downloadCSV(rows, filename, columns = COLUMNS) {
+        // BOM so Excel reads the file as UTF-8
+        download('\uFEFF' + toCSV(rows, columns), `${filename}.csv`, 'text/csv;charset=utf-8');
+    }
+
+    function downloadXlsx(rows, filename) {
+        download(toXlsx(rows), `${filename}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    }
+
+    // Public API
+    return {
+        COLUMNS,
+        buildRows,
+        toCSV,
+        toXlsx,
+        renderPrintReport,
+        print,
+        download,
+        downloadCSV,
+        downloadXlsx
+    };
+})();
+
+window.ReportExport = ReportExport;
@@ -0,0 +1,161 @@
+/**
+ * Reverse Search Module
+ * Lists every OFLC area where a salary reaches a target wage level, ranked by the margin
+ * above the threshold and filterable by state, cost of living and area size
+ */
+
+const ReverseSearch = (function () {
+    'use strict';
+
+    const MAX_ROWS = 100; // Rows rendered at once; filters narrow the rest
+
+    // Area size filters; population filters need geography.json population (Census estimates)
+    const SIZE_FILTERS = {
+        '': { label: 'Any size', test: () => true },
+        metro: { label: 'Metro areas', test: area => !isNonmetro(area) },
+        nonmetro: { label: 'Nonmetropolitan areas', test: area => isNonmetro(area) },
+        pop1m: { label: '1M+ people', population: true, test: area => area.population >= 1000000 },
+        pop250k: { label: '250k+ people', population: true, test: area => area.population >= 250000 },
+        popSmall: { label: 'Under 250k people', population: true, test: area => area.population < 250000 }
+    };
+
+    let filters = { state: '', maxCol: null, size: '' };
+    let selectListener = null; // Called with an area code when a result is clicked
+
+    function isNonmetro(area) {
+        return /nonmetropolitan/i.test(area.areaName);
+    }
+
+    /**
+     * Whether any area carries a population figure
+     */
+    function hasPopulation() {
+        return Object.values(WageData.geography || {}).some(area => area.population > 0);
+    }
+
+    /**
+     * Areas where the salary reaches the target level, after filters
+     * @param {number} salary - Pay in the given pay basis
+     * @param {string} socCode - SOC occupation code
+     * @param {number} targetLevel - 1-4
+     * @param {object} payBasis - { period, hoursPerWeek }
+     * @returns {object} { results, total } where total counts matches before filters
+     */
+    function search(salary, socCode, targetLevel, payBasis) {
+        const matches = WageData.findAreasReachingLevel(salary, socCode, targetLevel, payBasis);
+        const sizeFilter = SIZE_FILTERS[filters.size] || SIZE_FILTERS[''];
+
+        const results = matches.filter(match => {
+            const area = WageData.getAreaInfo(match.areaCode);
+            if (!area) return false;
+            if (filters.state && !WageData.getAreaStates(match.areaCode).includes(filters.state)) return false;
+            if (filters.maxCol && SalaryCalculator.getCOLIndex(match.areaCode) > filters.maxCol) return false;
+            if (sizeFilter.population && !(area.population > 0)) return false;
+            return sizeFilter.test(area);
+        });
+
+        return { results, total: matches.length };
+    }
+
+    /**
+     * Render ranked results into a container
+     * @param {HTMLElement} container
+     * @param {object} query - { salary, socCode, targetLevel, payBasis }
+     * @param {object} format - { pay: amount => string, suffix } from the app's pay period
+     */
+    function render(container, query, format) {
+        if (!container) return;
+
+        const { results, total } = search(query.salary, query.socCode, query.targetLevel, query.payBasis);
+        const levelLabels = ['Below L1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+
+        if (results.length === 0) {
+            container.innerHTML = `
+                <p class="reverse-empty">
+                    ${total === 0
+                        ? `Your salary does not reach Level ${query.targetLevel} in any area for this occupation.`
+                        : `None of the ${total} qualifying areas match the filters.`}
+                </p>
+            `;
+            return;
+        }
+
+        const rows = results.slice(0, MAX_ROWS).map((result, index) => {
+            const population = WageData.getAreaInfo(result.areaCode)?.population;
+            return `
+                <tr class="reverse-row" data-area="${result.areaCode}" tabindex="0">
+                    <td>${index + 1}</td>
+                    <td class="reverse-area">
+                        <strong>${result.areaName}</strong>
+                        ${population ? `<br><small>${population.toLocaleString()} people</small>` : ''}
+                    </td>
+                    <td>${levelLabels[result.level]}</td>
+                    <td>${format.pay(result.threshold)}</td>
+                    <td class="reverse-margin">+${format.pay(result.margin)} (${result.marginPercent.toFixed(1)}%)</td>
+                    <td class="${SalaryCalculator.getCOLInfo(result.areaCode)?.estimated ? 'col-estimated' : ''}"
+                        title="${SalaryCalculator.describeCOLSource(result.areaCode)}">${SalaryCalculator.formatCOLIndex(result.areaCode)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <p class="reverse-summary">
+                <strong>${results.length}</strong> area${results.length === 1 ? '' : 's'} where
+                ${format.pay(query.salary)}${format.suffix} reaches Level ${query.targetLevel}
+                ${results.length < total ? ` (${total} before filters)` : ''}
+                ${results.length > MAX_ROWS ? ` · showing the top ${MAX_ROWS}` : ''}
+            </p>
+            <div class="reverse-table-wrapper">
+                <table class="reverse-table">
+                    <thead>
+                        <tr>
+                            <th>Rank</th>
+                            <th>Area</th>
+                            <th>Your Level</th>
+                            <th>Level ${query.targetLevel} Threshold</th>
+                            <th>Margin</th>
+                            <th>COL Index</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire row clicks (and Enter on a focused row) to the select listener
+     */
+    function bindResults(container) {
+        const select = (event) => {
+            const row = event.target.closest('.reverse-row');
+            if (row && selectListener) selectListener(row.dataset.area);
+        };
+        container.addEventListener('click', select);
+        container.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') select(event);
+        });
+    }
+
+    function getFilters() {
+        return { ...filters };
+    }
+
+    function setFilters(partial) {
+        filters = { ...filters, ...partial };
+    }
+
+    // Public API
+    return {
+        SIZE_FILTERS,
+        hasPopulation,
+        search,
+        render,
+        bindResults,
+        getFilters,
+        setFilters,
+        onSelect: (listener) => { selectListener = listener; }
+    };
+})();
+
+window.ReverseSearch = ReverseSearch;
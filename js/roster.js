@@ -0,0 +1,376 @@
+/**
+ * Roster Evaluation Module
+ * Evaluates a CSV of candidates (name, SOC code or job title, work county, salary) against
+ * OFLC wage levels in the browser; nothing is uploaded
+ */
+
+const RosterEvaluator = (function () {
+    'use strict';
+
+    const MAX_ROWS = 2000;
+    const LEVEL_LABELS = ['Below L1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+    const LEVEL_COLORS = ['var(--level-below)', 'var(--level-1)', 'var(--level-2)', 'var(--level-3)', 'var(--level-4)']; // CSS variables follow the selected palette
+    const LEVEL_TEXT_COLORS = ['var(--level-below-text)', 'var(--level-1-text)', 'var(--level-2-text)', 'var(--level-3-text)', 'var(--level-4-text)'];
+
+    // Accepted header names per field (compared lowercase, without punctuation)
+    const HEADER_ALIASES = {
+        name: ['name', 'employee', 'employee name', 'candidate', 'candidate name'],
+        soc: ['soc', 'soc code', 'soccode', 'occupation code'],
+        title: ['job title', 'title', 'occupation', 'position', 'role'],
+        county: ['county', 'work county', 'worksite', 'worksite county', 'location', 'work location'],
+        state: ['state', 'work state'],
+        zip: ['zip', 'zip code', 'zipcode', 'postal code', 'work zip'],
+        salary: ['salary', 'base salary', 'wage', 'offered wage', 'annual salary', 'pay'],
+        period: ['period', 'pay period', 'unit', 'wage unit']
+    };
+
+    // Other spellings accepted in the optional pay period column (besides WageData.payPeriods keys)
+    const PERIOD_ALIASES = { year: 'annual', yearly: 'annual', hour: 'hourly', week: 'weekly', month: 'monthly' };
+
+    // Sample file offered as a download
+    const TEMPLATE = 'name,soc_code,job_title,work_county,salary\r\n' +
+        'Jane Doe,15-1252,,"Santa Clara County, CA",165000\r\n' +
+        'John Roe,,Data Scientist,"King County, WA",140000\r\n';
+
+    const RESULT_COLUMNS = [
+        { key: 'line', label: 'CSV Line' },
+        { key: 'name', label: 'Name' },
+        { key: 'occupationLabel', label: 'Occupation' },
+        { key: 'countyLabel', label: 'Work County' },
+        { key: 'areaName', label: 'OFLC Area' },
+        { key: 'areaCode', label: 'Area Code' },
+        { key: 'salary', label: 'Salary' },
+        { key: 'periodLabel', label: 'Pay Period' },
+        { key: 'levelLabel', label: 'Level' },
+        { key: 'gap', label: 'Gap to Next Level' },
+        { key: 'problemText', label: 'Problems' }
+    ];
+
+    /**
+     * Parse CSV text into rows of cells (quoted fields, doubled quotes, CRLF)
+     */
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const ch = input[i];
+            if (quoted) {
+                if (ch === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(cell); cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell); rows.push(row);
+                row = []; cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell || row.length) { row.push(cell); rows.push(row); }
+
+        return rows;
+    }
+
+    /**
+     * Map header cells to fields
+     * @returns {object} { field: columnIndex }
+     */
+    function mapColumns(header) {
+        const columns = {};
+        header.forEach((cell, index) => {
+            const name = cell.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+            Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+                if (columns[field] === undefined && aliases.includes(name)) columns[field] = index;
+            });
+        });
+        return columns;
+    }
+
+    /**
+     * Resolve the SOC code from a SOC column or a job title
+     */
+    function resolveOccupation(row, soc, title) {
+        const code = (soc || '').trim();
+        if (code) {
+            const occupation = WageData.getOccupation(code);
+            if (occupation) return occupation;
+            row.problems.push(`Unknown SOC code "${code}"`);
+            return null;
+        }
+
+        const query = (title || '').trim();
+        if (!query) {
+            row.problems.push('No SOC code or job title');
+            return null;
+        }
+
+        const results = WageData.searchOccupations(query, 20);
+        const best = results.filter(result => result.score === results[0]?.score);
+        const codes = [...new Set(best.map(result => result.code))];
+        if (results.length === 0) {
+            row.problems.push(`No occupation matches "${query}"`);
+            return null;
+        }
+        if (codes.length > 1) {
+            row.problems.push(`Ambiguous job title "${query}": ${codes.slice(0, 4).join(', ')}${codes.length > 4 ? '…' : ''}`);
+            return null;
+        }
+        if (results[0].score < 60) {
+            row.warnings.push(`Job title "${query}" loosely matched ${results[0].code}`);
+        }
+        return WageData.getOccupation(codes[0]);
+    }
+
+    /**
+     * Resolve the work county and its OFLC area
+     */
+    function resolveLocation(row, county, stateAbbr, zip) {
+        const location = (county || '').trim();
+        const zipCode = (zip || '').trim() || (/^\d{5}(-\d{4})?$/.test(location) ? location : '');
+
+        if (zipCode && !location.replace(zipCode, '').trim()) {
+            const matches = WageData.lookupZip(zipCode);
+            if (!matches) {
+                row.problems.push(`ZIP code lookup is not available; give the county for ${zipCode}`);
+                return null;
+            }
+            const areas = [...new Set(matches.map(m => m.areaCode))];
+            if (matches.length === 0) {
+                row.problems.push(`Unknown ZIP code ${zipCode}`);
+                return null;
+            }
+            if (areas.length > 1) {
+                row.problems.push(`ZIP ${zipCode} spans several OFLC areas: ${matches.map(m => `${m.county}, ${m.state}`).join('; ')}`);
+                return null;
+            }
+            if (matches.length > 1) {
+                row.warnings.push(`ZIP ${zipCode} spans several counties in the same area; used ${matches[0].county}`);
+            }
+            return { ...matches[0], key: `${matches[0].county}, ${matches[0].state}` };
+        }
+        if (!location) {
+            row.problems.push('No work county');
+            return null;
+        }
+
+        const matches = WageData.findCounties(location, (stateAbbr || '').trim() || null);
+        if (matches.length === 0) {
+            row.problems.push(`Unknown county "${location}${stateAbbr ? `, ${stateAbbr}` : ''}"`);
+            return null;
+        }
+        if (matches.length > 1) {
+            row.problems.push(`Ambiguous county "${location}": ${matches.slice(0, 4).map(m => m.key).join('; ')}${matches.length > 4 ? '…' : ''}`);
+            return null;
+        }
+        return matches[0];
+    }
+
+    /**
+     * Resolve one CSV record (occupation, county, salary) without wage data
+     */
+    function resolveRow(record, columns, line) {
+        const cell = field => columns[field] !== undefined ? (record[columns[field]] || '') : '';
+        const row = { line, name: cell('name').trim(), problems: [], warnings: [] };
+
+        const occupation = resolveOccupation(row, cell('soc'), cell('title'));
+        if (occupation) {
+            row.socCode = occupation.code;
+            row.occupationLabel = `${occupation.title} (${occupation.code})`;
+        } else {
+            row.occupationLabel = cell('soc') || cell('title');
+        }
+
+        const county = resolveLocation(row, cell('county'), cell('state'), cell('zip'));
+        if (county) {
+            row.countyLabel = county.key;
+            row.areaCode = county.areaCode;
+            row.areaName = county.areaName;
+        } else {
+            row.countyLabel = [cell('county'), cell('state'), cell('zip')].filter(Boolean).join(', ');
+        }
+
+        const periodText = cell('period').toLowerCase().replace(/[^a-z]/g, '');
+        const period = WageData.payPeriods[periodText] ? periodText : PERIOD_ALIASES[periodText];
+        if (periodText && !period) row.warnings.push(`Unknown pay period "${cell('period')}", treated as annual`);
+        row.payBasis = { period: period || 'annual', hoursPerWeek: 40 };
+        row.periodLabel = WageData.payPeriods[row.payBasis.period].label;
+
+        const salary = parseFloat(cell('salary').replace(/[$,\s]/g, ''));
+        if (salary > 0) row.salary = salary;
+        else row.problems.push(`Invalid salary "${cell('salary')}"`);
+
+        return row;
+    }
+
+    /**
+     * Add level and gap to a resolved row (needs its occupation's wage chunk loaded)
+     */
+    function evaluateRow(row) {
+        row.level = -1;
+        if (!row.socCode || !row.areaCode || !row.salary) {
+            row.levelLabel = 'Not evaluated';
+            return;
+        }
+
+        const wages = WageData.getWages(row.areaCode, row.socCode, row.payBasis);
+        if (!wages) {
+            row.problems.push('No wage data for this occupation in the area');
+            row.levelLabel = 'No data';
+            return;
+        }
+
+        row.wages = wages;
+        row.level = WageData.calculateWageLevel(row.salary, row.areaCode, row.socCode, row.payBasis);
+        row.levelLabel = LEVEL_LABELS[row.level];
+        row.gap = row.level < 4 ? Math.round((wages[`l${row.level + 1}`] - row.salary) * 100) / 100 : 0;
+    }
+
+    /**
+     * Evaluate a roster CSV
+     * @param {string} text - CSV file contents with a header row
+     * @returns {Promise<object>} { rows, summary: { total, evaluated, withProblems, byLevel: [count per level 0-4] } }
+     * @throws {Error} When required columns are missing or there are no data rows
+     */
+    async function evaluate(text) {
+        const records = parseCSV(text).filter(record => record.some(cell => cell.trim()));
+        if (records.length < 2) throw new Error('The file has no data rows below the header');
+
+        const columns = mapColumns(records[0]);
+        const missing = [];
+        if (columns.salary === undefined) missing.push('salary');
+        if (columns.soc === undefined && columns.title === undefined) missing.push('SOC code or job title');
+        if (columns.county === undefined && columns.zip === undefined) missing.push('work county');
+        if (missing.length) throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+        if (records.length - 1 > MAX_ROWS) throw new Error(`At most ${MAX_ROWS} rows can be evaluated at once`);
+
+        // ZIP codes need the optional ZIP index
+        const zipCell = record => [columns.zip, columns.county].some(i => i !== undefined && /^\s*\d{5}(-\d{4})?\s*$/.test(record[i] || ''));
+        if (records.slice(1).some(zipCell)) await WageData.loadLocationIndex();
+
+        const rows = records.slice(1).map((record, index) => resolveRow(record, columns, index + 2));
+
+        await WageData.loadOccupations([...new Set(rows.map(row => row.socCode).filter(Boolean))]);
+        rows.forEach(row => {
+            evaluateRow(row);
+            row.problemText = [...row.problems, ...row.warnings].join('; ');
+        });
+
+        const byLevel = [0, 0, 0, 0, 0];
+        rows.forEach(row => { if (row.level >= 0) byLevel[row.level]++; });
+
+        return {
+            rows,
+            summary: {
+                total: rows.length,
+                evaluated: byLevel.reduce((sum, count) => sum + count, 0),
+                withProblems: rows.filter(row => row.problems.length).length,
+                byLevel
+            }
+        };
+    }
+
+    /**
+     * Level distribution bars
+     */
+    function buildChartHtml(summary) {
+        const max = Math.max(1, ...summary.byLevel);
+        const bars = summary.byLevel.map((count, level) => `
+            <div class="roster-bar-row">
+                <span class="roster-bar-label">${LEVEL_LABELS[level]}</span>
+                <span class="roster-bar-track">
+                    <span class="roster-bar" style="width: ${count / max * 100}%; background-color: ${LEVEL_COLORS[level]};"></span>
+                </span>
+                <span class="roster-bar-count">${count}${summary.evaluated ? ` (${Math.round(count / summary.evaluated * 100)}%)` : ''}</span>
+            </div>
+        `).join('');
+
+        return `
+            <div class="roster-summary">
+                <div class="roster-stats">
+                    <div><strong>${summary.total}</strong><span>Rows</span></div>
+                    <div><strong>${summary.evaluated}</strong><span>Evaluated</span></div>
+                    <div class="${summary.withProblems ? 'roster-stat-problem' : ''}"><strong>${summary.withProblems}</strong><span>With problems</span></div>
+                </div>
+                <div class="roster-chart" role="img" aria-label="Level distribution: ${summary.byLevel.map((count, level) => `${LEVEL_LABELS[level]} ${count}`).join(', ')}">
+                    ${bars}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the summary and result table
+     * @param {HTMLElement} container
+     * @param {object} result - From evaluate()
+     */
+    function render(container, result) {
+        const money = (amount, period) => amount === undefined || amount === null ? '—'
+            : `$${amount.toLocaleString(undefined, { maximumFractionDigits: period === 'hourly' ? 2 : 0 })}`;
+
+        const rows = result.rows.map(row => `
+            <tr class="${row.problems.length ? 'roster-problem-row' : ''}">
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.name) || '—'}</td>
+                <td>${escapeHtml(row.occupationLabel) || '—'}</td>
+                <td>
+                    ${row.areaName ? `<strong>${row.areaName}</strong><br><small>${row.countyLabel}</small>` : escapeHtml(row.countyLabel) || '—'}
+                </td>
+                <td>${money(row.salary, row.payBasis.period)}${row.payBasis.period !== 'annual' ? `<br><small>${row.periodLabel}</small>` : ''}</td>
+                <td>
+                    ${row.level >= 0
+                        ? `<span class="level-badge" style="background-color: ${LEVEL_COLORS[row.level]}; color: ${LEVEL_TEXT_COLORS[row.level]};">${row.levelLabel}</span>`
+                        : row.levelLabel}
+                </td>
+                <td class="gap-cell">${row.level === 4 ? '✅ Max' : row.level >= 0 ? `+${money(row.gap, row.payBasis.period)}` : '—'}</td>
+                <td class="roster-issues">
+                    ${row.problems.map(problem => `<span class="roster-issue">${escapeHtml(problem)}</span>`).join('')}
+                    ${row.warnings.map(warning => `<span class="roster-warning">${escapeHtml(warning)}</span>`).join('')}
+                </td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            ${buildChartHtml(result.summary)}
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table roster-table">
+                    <thead>
+                        <tr>
+                            <th>Line</th>
+                            <th>Name</th>
+                            <th>Occupation</th>
+                            <th>OFLC Area</th>
+                            <th>Salary</th>
+                            <th>Level</th>
+                            <th>Gap to Next</th>
+                            <th>Problems</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    function escapeHtml(text) {
+        return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Public API
+    return {
+        TEMPLATE,
+        RESULT_COLUMNS,
+        parseCSV,
+        evaluate,
+        render
+    };
+})();
+
+window.RosterEvaluator = RosterEvaluator;
@@ -0,0 +1,342 @@
+/**
+ * Tax Tables Module
+ * Versioned federal, FICA, state and local income tax tables used by SalaryCalculator.
+ * Brackets are [upper limit, rate] pairs on taxable income; the last limit is Infinity.
+ * Simplified: no credits, state recapture rules or deductions for federal tax paid.
+ */
+
+const TaxTables = (function () {
+    'use strict';
+
+    const FILING_STATUSES = {
+        single: 'Single',
+        married: 'Married Filing Jointly',
+        marriedSeparate: 'Married Filing Separately',
+        headOfHousehold: 'Head of Household'
+    };
+
+    // ===== Federal =====
+
+    const FEDERAL_2025 = {
+        standardDeduction: { single: 15750, married: 31500, marriedSeparate: 15750, headOfHousehold: 23625 },
+        brackets: {
+            single: [[11925, 0.10], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32], [626350, 0.35], [Infinity, 0.37]],
+            married: [[23850, 0.10], [96950, 0.12], [206700, 0.22], [394600, 0.24], [501050, 0.32], [751600, 0.35], [Infinity, 0.37]],
+            marriedSeparate: [[11925, 0.10], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32], [375800, 0.35], [Infinity, 0.37]],
+            headOfHousehold: [[17000, 0.10], [64850, 0.12], [103350, 0.22], [197300, 0.24], [250500, 0.32], [626350, 0.35], [Infinity, 0.37]]
+        }
+    };
+
+    const FEDERAL_2026 = {
+        standardDeduction: { single: 16100, married: 32200, marriedSeparate: 16100, headOfHousehold: 24150 },
+        brackets: {
+            single: [[12400, 0.10], [50400, 0.12], [105700, 0.22], [201775, 0.24], [256225, 0.32], [640600, 0.35], [Infinity, 0.37]],
+            married: [[24800, 0.10], [100800, 0.12], [211400, 0.22], [403550, 0.24], [512450, 0.32], [768700, 0.35], [Infinity, 0.37]],
+            marriedSeparate: [[12400, 0.10], [50400, 0.12], [105700, 0.22], [201775, 0.24], [256225, 0.32], [384350, 0.35], [Infinity, 0.37]],
+            headOfHousehold: [[17700, 0.10], [67450, 0.12], [105700, 0.22], [201775, 0.24], [256200, 0.32], [640600, 0.35], [Infinity, 0.37]]
+        }
+    };
+
+    // Social Security stops at the wage base; Additional Medicare Tax starts at the threshold
+    const FICA_BASE = {
+        socialSecurityRate: 0.062,
+        medicareRate: 0.0145,
+        additionalMedicareRate: 0.009,
+        additionalMedicareThreshold: { single: 200000, married: 250000, marriedSeparate: 125000, headOfHousehold: 200000 }
+    };
+
+    // ===== State =====
+
+    /**
+     * Flat-rate state entry
+     * @param {number} rate - Tax rate
+     * @param {Array|string} deduction - [single, married] or 'federal' for the federal standard deduction
+     * @param {number} [zeroBand] - Single-filer income taxed at 0% (doubled for joint filers)
+     */
+    function flat(rate, deduction, zeroBand = 0) {
+        const single = zeroBand > 0 ? [[zeroBand, 0], [Infinity, rate]] : [[Infinity, rate]];
+        return { single, married: 'double', deduction };
+    }
+
+    // 2025 tables. married: 'double' doubles the single bracket limits; other statuses use the
+    // single brackets unless listed. taxes401k / taxesHsa mark states that don't exclude them.
+    const STATES_2025 = {
+        AK: null, FL: null, NH: null, NV: null, SD: null, TN: null, TX: null, WA: null, WY: null,
+        AL: { single: [[500, 0.02], [3000, 0.04], [Infinity, 0.05]], married: 'double', deduction: [4500, 11500] },
+        AR: { single: [[5499, 0], [10899, 0.02], [15599, 0.03], [25699, 0.034], [Infinity, 0.039]], married: 'same', deduction: [2410, 4820] },
+        AZ: flat(0.025, 'federal'),
+        CA: {
+            single: [[11079, 0.01], [26264, 0.02], [41452, 0.04], [57542, 0.06], [72724, 0.08], [371479, 0.093],
+                [445771, 0.103], [742953, 0.113], [1000000, 0.123], [Infinity, 0.133]],
+            married: [[22158, 0.01], [52528, 0.02], [82904, 0.04], [115084, 0.06], [145448, 0.08], [742958, 0.093],
+                [891542, 0.103], [1000000, 0.113], [1485906, 0.123], [Infinity, 0.133]],
+            deduction: [5706, 11412],
+            taxesHsa: true
+        },
+        CO: flat(0.044, 'federal'),
+        CT: { single: [[10000, 0.02], [50000, 0.045], [100000, 0.055], [200000, 0.06], [250000, 0.065], [500000, 0.069], [Infinity, 0.0699]], married: 'double', deduction: [0, 0] },
+        DC: { single: [[10000, 0.04], [40000, 0.06], [60000, 0.065], [250000, 0.085], [500000, 0.0925], [1000000, 0.0975], [Infinity, 0.1075]], married: 'same', deduction: 'federal' },
+        DE: { single: [[2000, 0], [5000, 0.022], [10000, 0.039], [20000, 0.048], [25000, 0.052], [60000, 0.0555], [Infinity, 0.066]], married: 'same', deduction: [3250, 6500] },
+        GA: flat(0.0519, [12000, 24000]),
+        HI: {
+            single: [[9600, 0.014], [14400, 0.032], [19200, 0.055], [24000, 0.064], [36000, 0.068], [48000, 0.072],
+                [125000, 0.076], [175000, 0.079], [225000, 0.0825], [275000, 0.09], [325000, 0.10], [Infinity, 0.11]],
+            married: 'double',
+            deduction: [5544, 11088]
+        },
+        IA: flat(0.038, 'federal'),
+        ID: flat(0.053, 'federal', 4811),
+        IL: flat(0.0495, [2850, 5700]),
+        IN: flat(0.03, [1000, 2000]),
+        KS: { single: [[23000, 0.052], [Infinity, 0.0558]], married: 'double', deduction: [12765, 26560] },
+        KY: flat(0.04, [3270, 6540]),
+        LA: flat(0.03, [12500, 25000]),
+        MA: { single: [[1083150, 0.05], [Infinity, 0.09]], married: 'same', deduction: [4400, 8800] },
+        MD: {
+            single: [[1000, 0.02], [2000, 0.03], [3000, 0.04], [100000, 0.0475], [125000, 0.05], [150000, 0.0525],
+                [250000, 0.055], [500000, 0.0575], [1000000, 0.0625], [Infinity, 0.065]],
+            married: [[1000, 0.02], [2000, 0.03], [3000, 0.04], [150000, 0.0475], [175000, 0.05], [225000, 0.0525],
+                [300000, 0.055], [600000, 0.0575], [1200000, 0.0625], [Infinity, 0.065]],
+            deduction: [3350, 6700]
+        },
+        ME: { single: [[26800, 0.058], [63450, 0.0675], [Infinity, 0.0715]], married: 'double', deduction: [20150, 40300] },
+        MI: flat(0.0425, [5800, 11600]),
+        MN: {
+            single: [[32570, 0.0535], [106990, 0.068], [198630, 0.0785], [Infinity, 0.0985]],
+            married: [[47620, 0.0535], [189180, 0.068], [330410, 0.0785], [Infinity, 0.0985]],
+            deduction: [14950, 29900]
+        },
+        MO: { single: [[1313, 0], [2626, 0.02], [3939, 0.025], [5252, 0.03], [6565, 0.035], [7878, 0.04], [9191, 0.045], [Infinity, 0.047]], married: 'same', deduction: 'federal' },
+        MS: flat(0.044, [8300, 16600], 10000),
+        MT: { single: [[21100, 0.047], [Infinity, 0.059]], married: 'double', deduction: 'federal' },
+        NC: flat(0.0425, [12750, 25500]),
+        ND: {
+            single: [[48475, 0], [244825, 0.0195], [Infinity, 0.025]],
+            married: [[80975, 0], [298075, 0.0195], [Infinity, 0.025]],
+            deduction: 'federal'
+        },
+        NE: {
+            single: [[4030, 0.0246], [24120, 0.0351], [38870, 0.0501], [Infinity, 0.052]],
+            married: [[8040, 0.0246], [48250, 0.0351], [77730, 0.0501], [Infinity, 0.052]],
+            deduction: [8600, 17200]
+        },
+        NJ: {
+            single: [[20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [Infinity, 0.1075]],
+            married: [[20000, 0.014], [50000, 0.0175], [70000, 0.0245], [80000, 0.035], [150000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [Infinity, 0.1075]],
+            deduction: [1000, 2000],
+            taxesHsa: true
+        },
+        NM: {
+            single: [[5500, 0.015], [16500, 0.032], [33500, 0.043], [66500, 0.047], [210000, 0.049], [Infinity, 0.059]],
+            married: [[8000, 0.015], [25000, 0.032], [50000, 0.043], [100000, 0.047], [315000, 0.049], [Infinity, 0.059]],
+            deduction: 'federal'
+        },
+        NY: {
+            single: [[8500, 0.04], [11700, 0.045], [13900, 0.0525], [80650, 0.055], [215400, 0.06], [1077550, 0.0685],
+                [5000000, 0.0965], [25000000, 0.103], [Infinity, 0.109]],
+            married: [[17150, 0.04], [23600, 0.045], [27900, 0.0525], [161550, 0.055], [323200, 0.06], [2155350, 0.0685],
+                [5000000, 0.0965], [25000000, 0.103], [Infinity, 0.109]],
+            deduction: [8000, 16050]
+        },
+        OH: { single: [[26050, 0], [100000, 0.0275], [Infinity, 0.035]], married: 'same', deduction: [0, 0] },
+        OK: { single: [[1000, 0.0025], [2500, 0.0075], [3750, 0.0175], [4900, 0.0275], [7200, 0.0375], [Infinity, 0.0475]], married: 'double', deduction: [7350, 14700] },
+        OR: { single: [[4400, 0.0475], [11050, 0.0675], [125000, 0.0875], [Infinity, 0.099]], married: 'double', deduction: [2835, 5670] },
+        PA: { ...flat(0.0307, [0, 0]), taxes401k: true },
+        RI: { single: [[79900, 0.0375], [181650, 0.0475], [Infinity, 0.0599]], married: 'same', deduction: [16000, 32000] },
+        SC: { single: [[3560, 0], [17830, 0.03], [Infinity, 0.062]], married: 'same', deduction: 'federal' },
+        UT: flat(0.045, [0, 0]),
+        VA: { single: [[3000, 0.02], [5000, 0.03], [17000, 0.05], [Infinity, 0.0575]], married: 'same', deduction: [9680, 19360] },
+        VT: {
+            single: [[47900, 0.0335], [116000, 0.066], [242000, 0.076], [Infinity, 0.0875]],
+            married: [[79950, 0.0335], [193300, 0.066], [294600, 0.076], [Infinity, 0.0875]],
+            deduction: [12700, 25450]
+        },
+        WI: {
+            single: [[14680, 0.035], [29370, 0.044], [323290, 0.053], [Infinity, 0.0765]],
+            married: [[19580, 0.035], [39150, 0.044], [431060, 0.053], [Infinity, 0.0765]],
+            deduction: [700, 1400]
+        },
+        WV: { single: [[10000, 0.0222], [25000, 0.0296], [40000, 0.0333], [60000, 0.0444], [Infinity, 0.0482]], married: 'same', deduction: [2000, 4000] }
+    };
+
+    // 2026: rate changes enacted for tax year 2026; every other state keeps its 2025 table
+    const STATES_2026 = {
+        ...STATES_2025,
+        GA: flat(0.0509, [12000, 24000]),
+        IN: flat(0.0295, [1000, 2000]),
+        KY: flat(0.035, [3270, 6540]),
+        MS: flat(0.04, [8300, 16600], 10000),
+        NC: flat(0.0399, [12750, 25500]),
+        NE: { ...STATES_2025.NE, single: [[4030, 0.0246], [24120, 0.0351], [38870, 0.0501], [Infinity, 0.0455]], married: [[8040, 0.0246], [48250, 0.0351], [77730, 0.0501], [Infinity, 0.0455]] },
+        NY: {
+            ...STATES_2025.NY,
+            single: [[8500, 0.039], [11700, 0.044], [13900, 0.0515], [80650, 0.054], [215400, 0.059], [1077550, 0.0685],
+                [5000000, 0.0965], [25000000, 0.103], [Infinity, 0.109]],
+            married: [[17150, 0.039], [23600, 0.044], [27900, 0.0515], [161550, 0.054], [323200, 0.059], [2155350, 0.0685],
+                [5000000, 0.0965], [25000000, 0.103], [Infinity, 0.109]]
+        },
+        OH: flat(0.0275, [0, 0], 26050)
+    };
+
+    // ===== Local =====
+
+    // base: 'wages' (gross pay less pre-tax HSA), 'stateTaxable' (state taxable income) or
+    // 'stateTax' (a surcharge on state income tax). counties lists OFLC counties the locality covers entirely.
+    const LOCALITIES_2025 = {
+        NYC: { name: 'New York City', state: 'NY', base: 'stateTaxable',
+            counties: ['New York County', 'Kings County', 'Queens County', 'Bronx County', 'Richmond County'],
+            single: [[12000, 0.03078], [25000, 0.03762], [50000, 0.03819], [Infinity, 0.03876]],
+            married: [[21600, 0.03078], [45000, 0.03762], [90000, 0.03819], [Infinity, 0.03876]] },
+        YONKERS: { name: 'Yonkers', state: 'NY', base: 'stateTax', rate: 0.1675 },
+        PHILADELPHIA: { name: 'Philadelphia', state: 'PA', base: 'wages', rate: 0.0375, counties: ['Philadelphia County'] },
+        PITTSBURGH: { name: 'Pittsburgh (city + school)', state: 'PA', base: 'wages', rate: 0.03 },
+        DETROIT: { name: 'Detroit', state: 'MI', base: 'stateTaxable', rate: 0.024 },
+        COLUMBUS: { name: 'Columbus', state: 'OH', base: 'wages', rate: 0.025 },
+        CLEVELAND: { name: 'Cleveland', state: 'OH', base: 'wages', rate: 0.025 },
+        CINCINNATI: { name: 'Cincinnati', state: 'OH', base: 'wages', rate: 0.018 },
+        KANSAS_CITY: { name: 'Kansas City', state: 'MO', base: 'wages', rate: 0.01 },
+        ST_LOUIS: { name: 'St. Louis', state: 'MO', base: 'wages', rate: 0.01, counties: ['St. Louis city'] },
+        BALTIMORE: { name: 'Baltimore City', state: 'MD', base: 'stateTaxable', rate: 0.032, counties: ['Baltimore city'] },
+        MONTGOMERY_MD: { name: 'Montgomery County', state: 'MD', base: 'stateTaxable', rate: 0.032, counties: ['Montgomery County'] },
+        PRINCE_GEORGES: { name: "Prince George's County", state: 'MD', base: 'stateTaxable', rate: 0.032, counties: ["Prince George's County"] },
+        MULTNOMAH: { name: 'Multnomah County (Metro SHS + Preschool for All)', state: 'OR', base: 'stateTaxable',
+            counties: ['Multnomah County'],
+            single: [[125000, 0], [250000, 0.025], [Infinity, 0.04]],
+            married: [[200000, 0], [400000, 0.025], [Infinity, 0.04]] },
+        PORTLAND_METRO: { name: 'Portland Metro (Supportive Housing Services)', state: 'OR', base: 'stateTaxable',
+            single: [[125000, 0], [Infinity, 0.01]],
+            married: [[200000, 0], [Infinity, 0.01]] },
+        MARION_IN: { name: 'Indianapolis (Marion County)', state: 'IN', base: 'stateTaxable', rate: 0.0202, counties: ['Marion County'] },
+        WILMINGTON: { name: 'Wilmington', state: 'DE', base: 'wages', rate: 0.0125 }
+    };
+
+    const LOCALITIES_2026 = {
+        ...LOCALITIES_2025,
+        PHILADELPHIA: { ...LOCALITIES_2025.PHILADELPHIA, rate: 0.0374 }
+    };
+
+    // ===== Versions =====
+
+    const YEARS = {
+        2025: {
+            federal: FEDERAL_2025,
+            fica: { ...FICA_BASE, socialSecurityWageBase: 176100 },
+            limits: { k401: 23500, hsaSelf: 4300, hsaFamily: 8550 },
+            states: STATES_2025,
+            localities: LOCALITIES_2025
+        },
+        2026: {
+            federal: FEDERAL_2026,
+            fica: { ...FICA_BASE, socialSecurityWageBase: 184500 },
+            limits: { k401: 24500, hsaSelf: 4400, hsaFamily: 8750 },
+            states: STATES_2026,
+            localities: LOCALITIES_2026
+        }
+    };
+
+    const DEFAULT_YEAR = 2026;
+
+    /**
+     * Get the tables for a tax year (falls back to the default year)
+     */
+    function getYear(year = DEFAULT_YEAR) {
+        return YEARS[year] || YEARS[DEFAULT_YEAR];
+    }
+
+    /**
+     * Convert [limit, rate] pairs into { limit, rate } brackets
+     */
+    function toBrackets(pairs, factor = 1) {
+        return pairs.map(([limit, rate]) => ({ limit: limit * factor, rate }));
+    }
+
+    /**
+     * Resolve a bracket table for a filing status (joint filers may share or double the single limits)
+     */
+    function resolveBrackets(table, filingStatus) {
+        if (table.rate !== undefined) return toBrackets([[Infinity, table.rate]]);
+        if (filingStatus !== 'married') return toBrackets(table.single);
+        if (table.married === 'double') return toBrackets(table.single, 2);
+        if (table.married === 'same' || !table.married) return toBrackets(table.single);
+        return toBrackets(table.married);
+    }
+
+    /**
+     * Federal brackets and standard deduction
+     * @returns {object} { brackets: [{ limit, rate }], standardDeduction }
+     */
+    function getFederal(filingStatus = 'single', year = DEFAULT_YEAR) {
+        const { federal } = getYear(year);
+        const status = FILING_STATUSES[filingStatus] ? filingStatus : 'single';
+        return {
+            brackets: toBrackets(federal.brackets[status]),
+            standardDeduction: federal.standardDeduction[status]
+        };
+    }
+
+    /**
+     * State brackets and deduction
+     * @returns {object|null} { brackets, deduction, taxes401k, taxesHsa } or null without an income tax
+     */
+    function getState(stateAbbr, filingStatus = 'single', year = DEFAULT_YEAR) {
+        const table = getYear(year).states[stateAbbr];
+        if (!table) return null;
+
+        let deduction;
+        if (table.deduction === 'federal') {
+            deduction = getFederal(filingStatus, year).standardDeduction;
+        } else {
+            deduction = filingStatus === 'married' ? table.deduction[1] : table.deduction[0];
+        }
+
+        return {
+            brackets: resolveBrackets(table, filingStatus),
+            deduction,
+            taxes401k: Boolean(table.taxes401k),
+            taxesHsa: Boolean(table.taxesHsa)
+        };
+    }
+
+    /**
+     * Local tax definition
+     * @returns {object|null} { id, name, state, base, brackets }
+     */
+    function getLocality(id, filingStatus = 'single', year = DEFAULT_YEAR) {
+        const table = getYear(year).localities[id];
+        if (!table) return null;
+        return { id, name: table.name, state: table.state, base: table.base, brackets: resolveBrackets(table, filingStatus) };
+    }
+
+    /**
+     * Localities with an income tax in a state
+     * @returns {Array} [{ id, name, counties }]
+     */
+    function getLocalities(stateAbbr, year = DEFAULT_YEAR) {
+        return Object.entries(getYear(year).localities)
+            .filter(([, table]) => table.state === stateAbbr)
+            .map(([id, table]) => ({ id, name: table.name, counties: table.counties || [] }));
+    }
+
+    /**
+     * Locality that covers an entire OFLC county, if any (e.g. Kings County, NY → NYC)
+     */
+    function findLocalityForCounty(countyName, stateAbbr, year = DEFAULT_YEAR) {
+        const match = getLocalities(stateAbbr, year).find(locality => locality.counties.includes(countyName));
+        return match ? match.id : null;
+    }
+
+    // Public API
+    return {
+        FILING_STATUSES,
+        DEFAULT_YEAR,
+        years: Object.keys(YEARS).map(Number),
+        getYear,
+        getFederal,
+        getState,
+        getLocality,
+        getLocalities,
+        findLocalityForCounty
+    };
+})();
+
+window.TaxTables = TaxTables;
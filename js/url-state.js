@@ -0,0 +1,84 @@
+/**
+ * URL State Module
+ * Serializes dashboard selections into the query string so views can be shared and
+ * restored, and steps through previous selections with browser back/forward
+ */
+
+const UrlState = (function () {
+    'use strict';
+
+    // Keys whose values are comma-separated lists
+    const LIST_KEYS = ['compare', 'ws'];
+
+    /**
+     * Read the current query string into a plain object
+     * @returns {object} { key: string } with list keys parsed into arrays
+     */
+    function read() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {};
+
+        params.forEach((value, key) => {
+            if (LIST_KEYS.includes(key)) {
+                values[key] = value.split(',').filter(Boolean);
+            } else {
+                values[key] = value;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Build a query string from a values object, skipping empty entries
+     */
+    function serialize(values) {
+        const params = new URLSearchParams();
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (Array.isArray(value)) {
+                if (value.length > 0) params.set(key, value.join(','));
+            } else if (value !== null && value !== undefined && value !== '') {
+                params.set(key, String(value));
+            }
+        });
+
+        // Keep list separators readable in shared links
+        const query = params.toString().replace(/%2C/g, ',');
+        return query ? `?${query}` : window.location.pathname;
+    }
+
+    /**
+     * Write values to the URL
+     * @param {object} values - Dashboard state to encode
+     * @param {object} options - { replace: true } to update the current history entry
+     */
+    function write(values, { replace = false } = {}) {
+        const url = serialize(values);
+        const current = window.location.search || window.location.pathname;
+        if (url === current) return;
+
+        if (replace) {
+            window.history.replaceState(values, '', url);
+        } else {
+            window.history.pushState(values, '', url);
+        }
+    }
+
+    /**
+     * Register a handler for back/forward navigation
+     * @param {Function} callback - Receives the values read from the new URL
+     */
+    function onNavigate(callback) {
+        window.addEventListener('popstate', () => callback(read()));
+    }
+
+    // Public API
+    return {
+        read,
+        write,
+        onNavigate
+    };
+})();
+
+window.UrlState = UrlState;
@@ -0,0 +1,140 @@
+/**
+ * Wage Worksheet Module
+ * Estimates the minimum prevailing wage level a job's requirements call for, following the
+ * OFLC prevailing wage worksheet: start at Level 1 and add points for experience beyond the
+ * occupation's job zone, education above the norm, special skills and supervision
+ */
+
+const WageWorksheet = (function () {
+    'use strict';
+
+    // Education ladder, lowest first (names match the Appendix A workbook)
+    const EDUCATION_LEVELS = [
+        'None',
+        'High school diploma or equivalent',
+        "Associate's degree",
+        "Bachelor's degree",
+        "Master's degree",
+        'Doctoral or professional degree'
+    ];
+
+    // Experience bands per job zone in months: up to [0] adds 0 points, up to [1] adds 1,
+    // up to [2] adds 2, anything longer adds 3 (low / low-middle / high-middle / above the zone)
+    const EXPERIENCE_BANDS = {
+        1: [1, 2, 3],
+        2: [3, 6, 12],
+        3: [12, 18, 24],
+        4: [24, 36, 48],
+        5: [48, 60, 72]
+    };
+
+    /**
+     * Points for the required experience relative to the occupation's job zone
+     */
+    function experiencePoints(months, jobZone) {
+        const bands = EXPERIENCE_BANDS[jobZone];
+        if (!bands || !(months > 0)) return 0;
+
+        const index = bands.findIndex(limit => months <= limit);
+        return index === -1 ? 3 : index;
+    }
+
+    // Appendix A (professional) occupations treat a Master's degree as their norm
+    const APPENDIX_A_NORM = "Master's degree";
+
+    /**
+     * Points for required education above the occupation's typical education
+     * @param {boolean} [appendixA] - Whether the occupation is on Appendix A, where a Master's adds no points
+     */
+    function educationPoints(required, typical, appendixA = false) {
+        const requiredRank = EDUCATION_LEVELS.indexOf(required);
+        let typicalRank = EDUCATION_LEVELS.indexOf(typical);
+        if (requiredRank < 0 || typicalRank < 0) return 0;
+        if (appendixA) typicalRank = Math.max(typicalRank, EDUCATION_LEVELS.indexOf(APPENDIX_A_NORM));
+
+        return Math.min(2, Math.max(0, requiredRank - typicalRank));
+    }
+
+    /**
+     * Whether the Appendix A exception keeps a required degree from adding points it would otherwise add
+     */
+    function isAppendixAExempt(occupation, education) {
+        return !!occupation.appendixA &&
+            educationPoints(education, occupation.education) > educationPoints(education, occupation.education, true);
+    }
+
+    /**
+     * Evaluate job requirements for an occupation
+     * @param {object} occupation - From WageData.getOccupation (needs code, jobZone, education)
+     * @param {object} requirements - { experienceMonths, education, specialSkills, supervision }
+     * @returns {object} { level (1-4), points, capped, appendixAExempt, steps: [{ label, points, note }] }
+     */
+    function evaluate(occupation, requirements) {
+        const months = requirements.experienceMonths || 0;
+        const education = requirements.education || occupation.education;
+        const zone = WageData.jobZones[occupation.jobZone];
+        const isManager = occupation.code.startsWith('11-');
+        const appendixAExempt = isAppendixAExempt(occupation, education);
+
+        const steps = [
+            {
+                label: 'Experience',
+                points: experiencePoints(months, occupation.jobZone),
+                note: zone ? `${formatMonths(months)} required; Job Zone ${occupation.jobZone} norm is ${zone.experience.toLowerCase()}` : 'No job zone published'
+            },
+            {
+                label: 'Education',
+                points: educationPoints(education, occupation.education, occupation.appendixA),
+                note: `${education} required; typical is ${occupation.education || 'not listed'}`
+            },
+            ...(occupation.appendixA ? [{
+                label: 'Appendix A',
+                points: 0,
+                note: appendixAExempt
+                    ? `Professional occupation: education counts only above a ${APPENDIX_A_NORM}`
+                    : `Professional occupation: education up to a ${APPENDIX_A_NORM} adds no level`
+            }] : []),
+            {
+                label: 'Special skills',
+                points: requirements.specialSkills ? 1 : 0,
+                note: requirements.specialSkills ? 'Skills or licenses beyond the occupation norm' : 'None beyond the occupation norm'
+            },
+            {
+                label: 'Supervision',
+                points: requirements.supervision && !isManager ? 1 : 0,
+                note: requirements.supervision
+                    ? (isManager ? 'Already expected of management occupations' : 'Supervises other employees')
+                    : 'No supervisory duties'
+            }
+        ];
+
+        const points = steps.reduce((sum, step) => sum + step.points, 0);
+
+        return {
+            level: Math.min(4, 1 + points),
+            points,
+            capped: points > 3, // Points beyond Level 4 have no further effect
+            appendixAExempt,
+            steps
+        };
+    }
+
+    /**
+     * Format a month count as "18 months" or "3 years"
+     */
+    function formatMonths(months) {
+        if (!months) return 'No experience';
+        if (months % 12 === 0) return `${months / 12} year${months === 12 ? '' : 's'}`;
+        return `${months} month${months === 1 ? '' : 's'}`;
+    }
+
+    // Public API
+    return {
+        EDUCATION_LEVELS,
+        EXPERIENCE_BANDS,
+        evaluate,
+        formatMonths
+    };
+})();
+
+window.WageWorksheet = WageWorksheet;
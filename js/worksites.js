@@ -0,0 +1,179 @@
+/**
+ * Worksites Module
+ * A position with several worksite counties (hybrid or multi-location roles); the prevailing
+ * wage has to be met at each one, so the lowest level across worksites is the binding one
+ */
+
+const Worksites = (function () {
+    'use strict';
+
+    const MAX_WORKSITES = 10;
+    const LEVEL_LABELS = ['Below L1', 'Level 1', 'Level 2', 'Level 3', 'Level 4'];
+    const LEVEL_COLORS = ['var(--level-below)', 'var(--level-1)', 'var(--level-2)', 'var(--level-3)', 'var(--level-4)']; // CSS variables follow the selected palette
+    const LEVEL_TEXT_COLORS = ['var(--level-below-text)', 'var(--level-1-text)', 'var(--level-2-text)', 'var(--level-3-text)', 'var(--level-4-text)'];
+
+    let sites = [];            // [{ county, state, areaCode, areaName, share }] share is % of time or null
+    let changeListener = null; // Notified when the user edits the list
+
+    function notifyChange() {
+        if (changeListener) changeListener(sites);
+    }
+
+    /**
+     * Add a worksite county
+     * @returns {string|null} Error message, or null when added
+     */
+    function add(county, stateAbbr, areaCode) {
+        if (sites.length >= MAX_WORKSITES) return `At most ${MAX_WORKSITES} worksites`;
+        if (sites.some(site => site.county === county && site.state === stateAbbr)) return `${county}, ${stateAbbr} is already a worksite`;
+
+        const area = WageData.getAreaInfo(areaCode);
+        sites.push({ county, state: stateAbbr, areaCode, areaName: area ? area.areaName : areaCode, share: null });
+        notifyChange();
+        return null;
+    }
+
+    function remove(index) {
+        sites.splice(index, 1);
+        notifyChange();
+    }
+
+    /**
+     * Set a worksite's share of time (percent); empty or invalid clears it
+     */
+    function setShare(index, share) {
+        if (!sites[index]) return;
+        const value = parseFloat(share);
+        sites[index].share = value > 0 && value <= 100 ? value : null;
+        notifyChange();
+    }
+
+    /**
+     * Replace the worksites (used when restoring a shared link)
+     * @param {Array} entries - [{ county, state, areaCode, share }]; entries without an OFLC area are skipped
+     */
+    function setSites(entries) {
+        sites = [];
+        (entries || []).slice(0, MAX_WORKSITES).forEach(({ county, state, areaCode, share }) => {
+            if (!areaCode || sites.some(site => site.county === county && site.state === state)) return;
+            const area = WageData.getAreaInfo(areaCode);
+            sites.push({
+                county,
+                state,
+                areaCode,
+                areaName: area ? area.areaName : areaCode,
+                share: share > 0 && share <= 100 ? share : null
+            });
+        });
+    }
+
+    /**
+     * Level at each worksite, the binding (lowest) level and worksites below the others
+     * @returns {object} { sites: [{ ...site, wages, level, gap }], bindingLevel, bindingSites, laggingSites, totalShare }
+     *   level is -1 without wage data; bindingLevel is null when no worksite has data
+     */
+    function evaluate(salary, socCode, payBasis) {
+        const evaluated = sites.map(site => {
+            const wages = WageData.getWages(site.areaCode, socCode, payBasis);
+            const level = wages ? WageData.calculateWageLevel(salary, site.areaCode, socCode, payBasis) : -1;
+            const gap = wages && level < 4 ? wages[`l${level + 1}`] - salary : 0;
+            return { ...site, wages, level, gap };
+        });
+
+        const withData = evaluated.filter(site => site.level >= 0);
+        const levels = withData.map(site => site.level);
+        const bindingLevel = levels.length ? Math.min(...levels) : null;
+        const highestLevel = levels.length ? Math.max(...levels) : null;
+
+        return {
+            sites: evaluated,
+            bindingLevel,
+            bindingSites: withData.filter(site => site.level === bindingLevel),
+            laggingSites: withData.filter(site => site.level < highestLevel),
+            totalShare: sites.reduce((sum, site) => sum + (site.share || 0), 0)
+        };
+    }
+
+    /**
+     * Render the worksite list, binding level and warnings
+     * @param {object} format - { pay: amount => string }
+     */
+    function render(container, result, format) {
+        if (!container) return;
+
+        if (result.sites.length === 0) {
+            container.innerHTML = '<p class="worksite-empty">Select a county on the map or in the search, then add it as a worksite.</p>';
+            return;
+        }
+
+        const badge = level => level >= 0
+            ? `<span class="level-badge" style="background-color: ${LEVEL_COLORS[level]}; color: ${LEVEL_TEXT_COLORS[level]};">${LEVEL_LABELS[level]}</span>`
+            : 'No data';
+
+        const warnings = [];
+        if (result.laggingSites.length) {
+            warnings.push(`Lower level at ${result.laggingSites.map(site => `${site.county}, ${site.state} (${LEVEL_LABELS[site.level]})`).join(', ')} than at the other worksites.`);
+        }
+        const missing = result.sites.filter(site => site.level < 0);
+        if (missing.length) {
+            warnings.push(`No wage data for this occupation at ${missing.map(site => `${site.county}, ${site.state}`).join(', ')}.`);
+        }
+        if (result.totalShare > 0 && Math.round(result.totalShare) !== 100) {
+            warnings.push(`Shares of time add up to ${Math.round(result.totalShare)}%, not 100%.`);
+        }
+
+        container.innerHTML = `
+            ${result.bindingLevel !== null ? `
+                <div class="worksite-binding">
+                    Binding level across ${result.sites.length} worksite${result.sites.length > 1 ? 's' : ''}: ${badge(result.bindingLevel)}
+                    <small>set by ${result.bindingSites.map(site => `${site.county}, ${site.state}`).join(', ')}</small>
+                </div>
+            ` : ''}
+            ${warnings.map(warning => `<p class="worksite-warning" role="alert">⚠️ ${warning}</p>`).join('')}
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table worksite-table">
+                    <thead>
+                        <tr>
+                            <th>Worksite</th>
+                            <th>Share of Time</th>
+                            <th>Your Level</th>
+                            <th>Gap to Next</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.sites.map((site, index) => `
+                            <tr class="worksite-row ${site.level >= 0 && site.level === result.bindingLevel && result.laggingSites.length ? 'worksite-binding-row' : ''}" data-index="${index}">
+                                <td class="location-cell">
+                                    <button type="button" class="worksite-show" data-index="${index}" title="Show on map">${site.county}, ${site.state}</button><br>
+                                    <small>${site.areaName}</small>
+                                </td>
+                                <td>
+                                    <input type="number" class="worksite-share" data-index="${index}" min="0" max="100" step="5"
+                                        value="${site.share ?? ''}" placeholder="—" aria-label="Share of time at ${site.county}, ${site.state} (%)"> %
+                                </td>
+                                <td class="level-cell">${badge(site.level)}</td>
+                                <td class="gap-cell">${site.level === 4 ? '✅ Max' : site.level >= 0 ? `+${format.pay(site.gap)}` : 'N/A'}</td>
+                                <td><button type="button" class="remove-btn worksite-remove" data-index="${index}" title="Remove">✕</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Public API
+    return {
+        add,
+        remove,
+        setShare,
+        setSites,
+        evaluate,
+        render,
+        getSites: () => sites,
+        onChange: (callback) => { changeListener = callback; }
+    };
+})();
+
+window.Worksites = Worksites;
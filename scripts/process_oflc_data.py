@@ -5,24 +5,183 @@ Data source: https://flag.dol.gov/wage-data/wage-data-downloads
 """
 
 import csv
+import glob
+import hashlib
 import json
+import math
 import os
+import re
+import sys
+import unicodedata
+import xml.etree.ElementTree as ET
+import zipfile
 from collections import defaultdict
+from datetime import datetime, timezone
 
 # Paths
-DATA_DIR = os.path.join(os.path.dirname(__file__), '..', 'data', 'OFLC_Wages_2025-26_Updated')
 OUTPUT_DIR = os.path.join(os.path.dirname(__file__), '..', 'data')
+WAGES_DIR = os.path.join(OUTPUT_DIR, 'wages')
+MAP_FILE = os.path.join(OUTPUT_DIR, 'counties-10m.json')  # us-atlas TopoJSON drawn by the app
+MANIFEST_FILE = os.path.join(OUTPUT_DIR, 'manifest.json')  # Read by js/data-provider.js
+MANIFEST_SCHEMA = 1  # Must match SCHEMA_VERSION in js/data-provider.js
+
+# Manifest key -> file in data/. Optional files are listed only when they exist
+MANIFEST_FILES = {
+    'geography': ('geography.json', True),
+    'counties': ('counties.json', True),
+    'countyAreas': ('county_areas.json', True),
+    'occupations': ('occupations.json', True),
+    'occupationTitles': ('occupation_titles.json', True),
+    'costOfLiving': ('cost_of_living.json', False),
+    'zipCounties': ('zip_counties.json', False),
+    'places': ('places.json', False),
+}
+
+# Published wage years, oldest first. Add each July release here with the folder it was unpacked to.
+# The last entry is the current year: it also provides geography, counties and occupation titles.
+# The year selector, year-over-year diff mode and the growth projection's historical threshold growth
+# need at least two published years; with one, the app disables them and assumes 3%/yr threshold growth.
+# Earlier years whose folder has no ALC_Export.csv are skipped and left out of the manifest.
+WAGE_YEARS = [
+    {
+        'id': '2024-25',
+        'label': 'July 2024 – June 2025',
+        'effective': '2024-07-01',
+        'source': 'OFLC_Wages_2024-25'
+    },
+    {
+        'id': '2025-26',
+        'label': 'July 2025 – June 2026',
+        'effective': '2025-07-01',
+        'source': 'OFLC_Wages_2025-26_Updated'
+    },
+]
+
+# Common industry job titles missing from the O*NET crosswalk, mapped to the O*NET codes they are
+# usually filed under. Titles with several plausible codes list each one so the user can choose.
+COMMON_TITLES = {
+    'Software Engineer': ['15-1252.00'],
+    'Backend Engineer': ['15-1252.00'],
+    'Frontend Engineer': ['15-1252.00', '15-1254.00'],
+    'Full Stack Engineer': ['15-1252.00'],
+    'Mobile Developer': ['15-1252.00'],
+    'Firmware Engineer': ['15-1252.00', '17-2061.00'],
+    'Machine Learning Engineer': ['15-1252.00', '15-2051.00'],
+    'AI Engineer': ['15-1252.00', '15-2051.00'],
+    'Applied Scientist': ['15-1221.00', '15-2051.00'],
+    'Research Scientist': ['15-1221.00'],
+    'Data Engineer': ['15-1252.00', '15-1243.00'],
+    'Data Analyst': ['15-2051.00', '15-2041.00'],
+    'Database Engineer': ['15-1242.00', '15-1243.00'],
+    'Site Reliability Engineer': ['15-1252.00', '15-1244.00'],
+    'DevOps Engineer': ['15-1252.00', '15-1244.00'],
+    'Cloud Engineer': ['15-1241.00', '15-1244.00'],
+    'Solutions Architect': ['15-1299.08', '15-1241.00'],
+    'Security Engineer': ['15-1299.05', '15-1212.00'],
+    'QA Engineer': ['15-1253.00'],
+    'Software Development Engineer in Test': ['15-1253.00'],
+    'UX Designer': ['15-1255.00'],
+    'Business Analyst': ['13-1111.00', '15-2051.01'],
+    'Product Manager': ['11-3021.00', '11-2021.00'],
+    'Technical Program Manager': ['15-1299.09', '11-3021.00'],
+    'Engineering Manager': ['11-3021.00'],
+    'Hardware Engineer': ['17-2061.00'],
+}
+
+# State FIPS codes used by the map features (same as WageData.fipsToState, plus territories)
+STATE_FIPS = {
+    '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT', '10': 'DE',
+    '11': 'DC', '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA',
+    '20': 'KS', '21': 'KY', '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN',
+    '28': 'MS', '29': 'MO', '30': 'MT', '31': 'NE', '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM',
+    '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH', '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI',
+    '45': 'SC', '46': 'SD', '47': 'TN', '48': 'TX', '49': 'UT', '50': 'VT', '51': 'VA', '53': 'WA',
+    '54': 'WV', '55': 'WI', '56': 'WY', '60': 'AS', '66': 'GU', '69': 'MP', '72': 'PR', '78': 'VI'
+}
+
+# Map features whose names no longer match an OFLC county: FIPS -> OFLC CountyTownName.
+# The map still draws Connecticut's eight legacy counties, while OFLC lists the 2022 planning
+# regions; each legacy county maps to the planning region holding most of its population.
+COUNTY_FIPS_OVERRIDES = {
+    '02261': 'Chugach Census Area',  # Valdez-Cordova, split in 2019 into Chugach and Copper River (same area)
+    '09001': 'Western Connecticut Planning Region',  # Fairfield
+    '09003': 'Capitol Planning Region',  # Hartford
+    '09005': 'Northwest Hills Planning Region',  # Litchfield
+    '09007': 'Lower Connecticut River Valley Planning Region',  # Middlesex
+    '09009': 'South Central Connecticut Planning Region',  # New Haven
+    '09011': 'Southeastern Connecticut Planning Region',  # New London
+    '09013': 'Capitol Planning Region',  # Tolland
+    '09015': 'Northeastern Connecticut Planning Region',  # Windham
+    '66010': 'HAGATNA',  # Guam is one map feature; OFLC lists its villages, all in the Guam MSA
+}
+
+# Optional Census county population estimates (co-est<year>-alldata.csv from
+# https://www2.census.gov/programs-surveys/popest/datasets/); adds area population to geography.json
+CENSUS_POPULATION_GLOB = os.path.join(OUTPUT_DIR, 'census', 'co-est*-alldata.csv')
+
+# Optional Census 2020 relationship files for ZIP and city search (from
+# https://www2.census.gov/geo/docs/maps-data/data/rel2020/zcta520/ and
+# https://www2.census.gov/geo/docs/reference/codes2020/); written to zip_counties.json and places.json
+CENSUS_ZCTA_FILE = os.path.join(OUTPUT_DIR, 'census', 'tab20_zcta520_county20_natl.txt')
+CENSUS_PLACES_FILE = os.path.join(OUTPUT_DIR, 'census', 'national_place_by_county2020.txt')
+
+# GeoNames US postal codes (US.txt from https://download.geonames.org/export/zip/US.zip, CC BY 4.0),
+# used for ZIP and city search when the Census relationship files have not been downloaded.
+# Each ZIP is assigned to one county, so ZIPs never span several counties; cities can.
+GEONAMES_ZIP_FILE = os.path.join(OUTPUT_DIR, 'geonames', 'US.txt')
+GEONAMES_ZIP_COLUMNS = ['country', 'zip', 'place', 'stateName', 'state', 'countyName', 'countyCode']
+
+# Connecticut planning regions (county equivalents since 2022, used by GeoNames) -> OFLC CountyTownName.
+# The map still draws the legacy counties, see COUNTY_FIPS_OVERRIDES
+CT_PLANNING_REGION_FIPS = {
+    '09110': 'Capitol Planning Region',
+    '09120': 'Greater Bridgeport Planning Region',
+    '09130': 'Lower Connecticut River Valley Planning Region',
+    '09140': 'Naugatuck Valley Planning Region',
+    '09150': 'Northeastern Connecticut Planning Region',
+    '09160': 'Northwest Hills Planning Region',
+    '09170': 'South Central Connecticut Planning Region',
+    '09180': 'Southeastern Connecticut Planning Region',
+    '09190': 'Western Connecticut Planning Region',
+}
+
+# Legal/statistical type words Census appends to place names ("San Jose city", "Arlington CDP")
+PLACE_TYPE_SUFFIX = re.compile(
+    r' (city and borough|consolidated government|metropolitan government|unified government|urban county|'
+    r'city|town|village|borough|CDP|municipality|comunidad|zona urbana)( \(balance\))?$'
+)
+
+# States with independent cities, which share names with counties (county code 500+)
+INDEPENDENT_CITY_STATES = ('VA', 'MD', 'MO', 'NV')
+
+# Measured cost of living indexes (100 = national average) keyed by metro code. An entry may add
+# "housingIndex" and a "source" naming its dataset and year (e.g. "BEA Regional Price Parities 2023");
+# the bundled entries came with the original app without either, so they get MEASURED_COL_SOURCE
+MEASURED_COL_FILE = os.path.join(OUTPUT_DIR, 'cost_of_living_measured.json')
+MEASURED_COL_SOURCE = 'Metro COL index from cost_of_living_measured.json (dataset and year not recorded)'
+
+# Metro codes in the measured COL file retired by the 2023 OMB delineations: old code -> OFLC area
+COL_AREA_CODE_CHANGES = {
+    '17460': '17410',  # Cleveland-Elyria, OH -> Cleveland, OH
+    '19804': '19820',  # Detroit-Dearborn-Livonia, MI (metro division) -> Detroit-Warren-Dearborn, MI
+}
 
 # Hours per year (2080 = 40 hours/week * 52 weeks)
+# WageData.HOURS_PER_YEAR uses the same value to convert thresholds back to hourly
 HOURS_PER_YEAR = 2080
 
 
-def load_geography():
+def source_dir(year):
+    """Folder holding the raw OFLC files for a wage year."""
+    return os.path.join(OUTPUT_DIR, year['source'])
+
+
+def load_geography(data_dir):
     """Load geography data mapping Area codes to county names."""
     geography = {}
     county_to_area = defaultdict(list)
     
-    with open(os.path.join(DATA_DIR, 'Geography.csv'), 'r', encoding='utf-8') as f:
+    with open(os.path.join(data_dir, 'Geography.csv'), 'r', encoding='utf-8') as f:
         reader = csv.DictReader(f)
         for row in reader:
             area = row['Area']
@@ -46,25 +205,114 @@ def load_geography():
     return geography, county_to_area
 
 
-def load_occupations():
-    """Load occupation codes and titles."""
+def load_occupations(data_dir):
+    """Load occupation codes, titles and DOL descriptions."""
     occupations = {}
     
-    with open(os.path.join(DATA_DIR, 'oes_soc_occs.csv'), 'r', encoding='utf-8') as f:
+    with open(os.path.join(data_dir, 'oes_soc_occs.csv'), 'r', encoding='utf-8') as f:
         reader = csv.DictReader(f)
         for row in reader:
             code = row['soccode']
-            title = row['Title']
-            occupations[code] = title
+            occupations[code] = {
+                'title': row['Title'],
+                'description': row['Description'].strip()
+            }
     
     return occupations
 
 
-def load_wages():
+def read_xlsx_sheets(path):
+    """
+    Read every sheet of an .xlsx workbook with the standard library.
+    Returns { sheet name: [{ header: value }] } using the first row as headers.
+    """
+    ns = {'m': 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'}
+    rel_ns = '{http://schemas.openxmlformats.org/officeDocument/2006/relationships}id'
+    
+    def text_of(node):
+        return ''.join(t.text or '' for t in node.iter(f"{{{ns['m']}}}t"))
+    
+    with zipfile.ZipFile(path) as z:
+        shared = []
+        if 'xl/sharedStrings.xml' in z.namelist():
+            root = ET.fromstring(z.read('xl/sharedStrings.xml'))
+            shared = [text_of(si) for si in root.findall('m:si', ns)]
+        
+        rels = ET.fromstring(z.read('xl/_rels/workbook.xml.rels'))
+        targets = {rel.get('Id'): rel.get('Target') for rel in rels}
+        
+        sheets = {}
+        workbook = ET.fromstring(z.read('xl/workbook.xml'))
+        for sheet in workbook.find('m:sheets', ns):
+            target = targets[sheet.get(rel_ns)].lstrip('/')
+            sheet_path = target if target.startswith('xl/') else f'xl/{target}'
+            
+            rows = []
+            for row in ET.fromstring(z.read(sheet_path)).find('m:sheetData', ns):
+                values = {}
+                for cell in row:
+                    column = re.match(r'[A-Z]+', cell.get('r')).group()
+                    value = cell.find('m:v', ns)
+                    if cell.get('t') == 's':
+                        values[column] = shared[int(value.text)]
+                    elif cell.get('t') == 'inlineStr':
+                        values[column] = text_of(cell)
+                    else:
+                        values[column] = value.text if value is not None else ''
+                rows.append(values)
+            
+            headers = rows[0] if rows else {}
+            sheets[sheet.get('name')] = [
+                {headers[col]: value for col, value in row.items() if col in headers}
+                for row in rows[1:]
+            ]
+    
+    return sheets
+
+
+def load_occupation_requirements(data_dir):
+    """
+    Load job zone, education and Appendix A status per SOC code from the
+    "Appendix A, Job Zone, and Education" workbook.
+    Each SOC uses its base O*NET code (.00) when the workbook lists several.
+    Structure: { soc: { jobZone, education, appendixA } }
+    """
+    matches = glob.glob(os.path.join(data_dir, '*Appendix A*.xlsx'))
+    if not matches:
+        print("    Warning: Appendix A workbook not found, skipping job zones and education")
+        return {}
+    
+    sheets = read_xlsx_sheets(matches[0])
+    appendix_a = {row['O*NET Code'] for row in sheets['Appendix A SOC Codes']}
+    education = {row['O*NET Code']: row['Education'] for row in sheets['All SOC Codes (Education)']}
+    
+    requirements = {}
+    for row in sheets['All SOC Codes (Job Zones)']:
+        onet = row['O*NET Code']
+        soc = row['SOC Code']
+        if soc in requirements and not onet.endswith('.00'):
+            continue
+        requirements[soc] = {
+            'jobZone': int(row['Job Zone']),
+            'education': education.get(onet),
+            'appendixA': onet in appendix_a
+        }
+    
+    return requirements
+
+
+def load_wages(data_dir):
     """Load wage data from ALC_Export.csv."""
     wages = defaultdict(dict)
     
-    with open(os.path.join(DATA_DIR, 'ALC_Export.csv'), 'r', encoding='utf-8') as f:
+    path = os.path.join(data_dir, 'ALC_Export.csv')
+    if not os.path.exists(path):
+        # Without it the occupation list and wage chunks can't be regenerated; the bundled
+        # data/wages/ keeps the occupations it was last built with
+        raise FileNotFoundError(f"{path} is missing; unpack the wage year's ALC Export from "
+                                f"https://flag.dol.gov/wage-data/wage-data-downloads into {data_dir}")
+    
+    with open(path, 'r', encoding='utf-8') as f:
         reader = csv.DictReader(f)
         for row in reader:
             area = row['Area']
@@ -89,37 +337,439 @@ def load_wages():
     return wages
 
 
-def get_common_occupations(wages):
-    """Get the most common SOC codes that appear in many areas."""
-    soc_counts = defaultdict(int)
+def get_wage_occupations(wages):
+    """Get every SOC code that has wage data in at least one area, sorted by code."""
+    socs = set()
     
-    for area, soc_data in wages.items():
-        for soc in soc_data.keys():
-            soc_counts[soc] += 1
+    for soc_data in wages.values():
+        socs.update(soc_data.keys())
     
-    # Sort by count and return top occupations
-    sorted_socs = sorted(soc_counts.items(), key=lambda x: -x[1])
-    return [soc for soc, count in sorted_socs[:100]]  # Top 100 occupations
+    return sorted(socs)
 
 
-def create_wage_lookup_file(wages, geography, occupations, selected_socs):
+def create_wage_chunks(wages):
     """
-    Create a compact wage lookup file.
-    Structure: { areaCode: { socCode: [l1, l2, l3, l4] } }
+    Split wage data into one chunk per occupation so the app can load them on demand.
+    Structure: { socCode: { areaCode: [l1, l2, l3, l4] } }
     """
-    output = {}
+    chunks = defaultdict(dict)
     
     for area, soc_data in wages.items():
-        area_wages = {}
         for soc, levels in soc_data.items():
-            if soc in selected_socs:
-                # Store as array for compactness
-                area_wages[soc] = [levels['l1'], levels['l2'], levels['l3'], levels['l4']]
+            # Store as array for compactness
+            chunks[soc][area] = [levels['l1'], levels['l2'], levels['l3'], levels['l4']]
+    
+    return chunks
+
+
+def write_wage_chunks(chunks, year_id):
+    """Write data/wages/<year>/<socCode>.json, removing chunks for occupations no longer published."""
+    year_dir = os.path.join(WAGES_DIR, year_id)
+    os.makedirs(year_dir, exist_ok=True)
+    
+    for stale in glob.glob(os.path.join(year_dir, '*.json')):
+        if os.path.splitext(os.path.basename(stale))[0] not in chunks:
+            os.remove(stale)
+    
+    total_size = 0
+    for soc, area_wages in chunks.items():
+        chunk_file = os.path.join(year_dir, f"{soc}.json")
+        with open(chunk_file, 'w') as f:
+            json.dump(area_wages, f, separators=(',', ':'))  # Compact JSON
+        total_size += os.path.getsize(chunk_file)
+    
+    return total_size
+
+
+def sha256_file(path):
+    """Hex SHA-256 of a file, as checked by the app when it loads the file."""
+    digest = hashlib.sha256()
+    with open(path, 'rb') as f:
+        for block in iter(lambda: f.read(65536), b''):
+            digest.update(block)
+    return digest.hexdigest()
+
+
+def create_manifest():
+    """
+    Describe the files in data/ for the app: dataset version, wage years with effective dates,
+    file URLs (relative to the manifest) and SHA-256 checksums of every file and wage chunk.
+    """
+    files = {}
+    for key, (name, required) in MANIFEST_FILES.items():
+        path = os.path.join(OUTPUT_DIR, name)
+        if not os.path.exists(path):
+            if required:
+                raise FileNotFoundError(f"{path} is missing; run the full pipeline first")
+            continue
+        files[key] = {'url': name, 'sha256': sha256_file(path)}
+    
+    years = []
+    for year in WAGE_YEARS:
+        year_dir = os.path.join(WAGES_DIR, year['id'])
+        checksums = {
+            os.path.splitext(os.path.basename(path))[0]: sha256_file(path)
+            for path in sorted(glob.glob(os.path.join(year_dir, '*.json')))
+        }
+        if not checksums:
+            continue  # Not generated yet (skipped by main() without its ALC_Export.csv)
+        years.append({
+            'id': year['id'],
+            'label': year['label'],
+            'effective': year['effective'],
+            'wages': f"wages/{year['id']}/{{soc}}.json",
+            'checksums': checksums,
+        })
+    
+    return {
+        'schema': MANIFEST_SCHEMA,
+        'name': 'OFLC Prevailing Wage Data',
+        'version': WAGE_YEARS[-1]['source'],
+        'source': 'U.S. Department of Labor, Office of Foreign Labor Certification',
+        'generated': datetime.now(timezone.utc).strftime('%Y-%m-%dT%H:%M:%SZ'),
+        'years': years,
+        'files': files,
+    }
+
+
+def write_manifest():
+    manifest = create_manifest()
+    with open(MANIFEST_FILE, 'w', encoding='utf-8') as f:
+        json.dump(manifest, f, indent=2, ensure_ascii=False)
+    chunks = sum(len(year['checksums']) for year in manifest['years'])
+    print(f"  Created {MANIFEST_FILE} ({len(manifest['files'])} files, {chunks} wage chunks)")
+
+
+def create_occupation_list(wage_socs, occupations, requirements):
+    """
+    Create the occupation list with description, job zone and education.
+    Structure: [{ code, title, description, jobZone, education, appendixA }]
+    """
+    occ_list = []
+    
+    for soc in wage_socs:
+        occupation = occupations.get(soc, {})
+        entry = {
+            'code': soc,
+            'title': occupation.get('title', soc),
+            'description': occupation.get('description')
+        }
+        entry.update(requirements.get(soc, {}))
+        occ_list.append(entry)
+    
+    return occ_list
+
+
+def create_title_index(data_dir, wage_socs):
+    """
+    Create a job title index from the O*NET crosswalk (xwalk_plus.csv) plus COMMON_TITLES.
+    Titles identical to their OES occupation title are skipped (the occupation list covers them).
+    Structure: [{ title, onet, soc, source: 'onet' | 'common' }]
+    """
+    titles = []
+    onet_to_soc = {}
+    
+    with open(os.path.join(data_dir, 'xwalk_plus.csv'), 'r', encoding='utf-8') as f:
+        reader = csv.DictReader(f)
+        for row in reader:
+            soc = row['OES_SOCCODE']
+            onet_to_soc[row['OnetCode']] = soc
+            if soc not in wage_socs or row['ONetTitle'] == row['OES_SOCTITLE']:
+                continue
+            titles.append({'title': row['ONetTitle'], 'onet': row['OnetCode'], 'soc': soc, 'source': 'onet'})
+    
+    for title, onet_codes in COMMON_TITLES.items():
+        for onet in onet_codes:
+            soc = onet_to_soc.get(onet)
+            if soc is None:
+                print(f"    Warning: unknown O*NET code {onet} for '{title}'")
+                continue
+            if soc in wage_socs:
+                titles.append({'title': title, 'onet': onet, 'soc': soc, 'source': 'common'})
+    
+    return sorted(titles, key=lambda t: (t['title'], t['soc']))
+
+
+def normalize_county_name(name):
+    """Normalize a county name for matching: ASCII, lowercase, no punctuation, 'Saint' -> 'St'."""
+    name = unicodedata.normalize('NFKD', name).encode('ascii', 'ignore').decode().lower()
+    name = name.replace('.', '').replace("'", '')
+    name = re.sub(r'\bsaint\b', 'st', name)
+    name = re.sub(r' (county|parish|borough|census area|city and borough|municipality|municipio|planning region)$', '', name)
+    return name.strip()
+
+
+def index_oflc_counties(county_to_area):
+    """Index OFLC counties by (normalized name, state); independent cities are flagged."""
+    oflc_counties = defaultdict(list)
+    for key, areas in county_to_area.items():
+        county, state = key.split('|')
+        is_city = county.endswith(' city')  # OFLC spells independent cities in lowercase
+        name = normalize_county_name(county[:-len(' city')] if is_city else county)
+        oflc_counties[(name, state)].append({'area': areas[0], 'county': county, 'city': is_city})
+    return oflc_counties
+
+
+def find_oflc_counties(oflc_counties, name, state, county_code):
+    """OFLC counties matching a FIPS county name, telling independent cities from counties (one when matched)."""
+    candidates = oflc_counties.get((normalize_county_name(name), state), [])
+    if len(candidates) > 1:
+        is_city = int(county_code) >= 500 and state in INDEPENDENT_CITY_STATES
+        candidates = [c for c in candidates if c['city'] == is_city]
+    return candidates
+
+
+def create_county_area_map(county_to_area, map_file=MAP_FILE):
+    """
+    Map every county feature in the TopoJSON map to its OFLC area by FIPS code.
+    Uses the per-county state from Geography.csv (multi-state areas list counties from several states).
+    Independent cities (county code 500+ in VA, MD, MO, NV) match OFLC's lowercase "X city" names,
+    so Fairfax city and Fairfax County stay apart.
+    Structure: { fips: { area, county } }, plus the list of features that still don't match.
+    """
+    oflc_counties = index_oflc_counties(county_to_area)
+    
+    with open(map_file, 'r', encoding='utf-8') as f:
+        features = json.load(f)['objects']['counties']['geometries']
+    
+    county_areas = {}
+    unmatched = []
+    for feature in features:
+        fips = str(feature['id']).zfill(5)
+        name = feature.get('properties', {}).get('name', '')
+        state = STATE_FIPS.get(fips[:2])
         
-        if area_wages:
-            output[area] = area_wages
+        candidates = find_oflc_counties(oflc_counties, COUNTY_FIPS_OVERRIDES.get(fips, name), state, fips[2:])
+        if len(candidates) == 1:
+            county_areas[fips] = {'area': candidates[0]['area'], 'county': candidates[0]['county']}
+        else:
+            unmatched.append({'fips': fips, 'name': name, 'state': state, 'candidates': len(candidates)})
     
-    return output
+    return dict(sorted(county_areas.items())), unmatched
+
+
+def load_area_population(county_to_area, pattern=CENSUS_POPULATION_GLOB):
+    """
+    Sum the latest Census county population estimates by OFLC area.
+    Returns { area: population }; empty when no estimates file has been downloaded.
+    """
+    files = sorted(glob.glob(pattern))
+    if not files:
+        return {}
+    
+    oflc_counties = index_oflc_counties(county_to_area)
+    population = defaultdict(int)
+    
+    with open(files[-1], 'r', encoding='latin-1') as f:
+        reader = csv.DictReader(f)
+        estimate = [c for c in reader.fieldnames if re.fullmatch(r'POPESTIMATE\d{4}', c)][-1]
+        for row in reader:
+            if row['SUMLEV'] != '050':  # County rows only
+                continue
+            state = STATE_FIPS.get(row['STATE'])
+            name = row['CTYNAME']
+            if name.endswith(' city') and state in INDEPENDENT_CITY_STATES:
+                name = name[:-len(' city')]
+            candidates = find_oflc_counties(oflc_counties, name, state, row['COUNTY'])
+            if len(candidates) == 1:
+                population[candidates[0]['area']] += int(row[estimate])
+    
+    return dict(population)
+
+
+def create_map_fips_resolver(county_areas, county_to_area):
+    """
+    Resolve a county FIPS code to the map feature drawn for it, or None.
+    Connecticut planning regions resolve to the legacy county drawn with the same OFLC county,
+    else to one drawn in the same OFLC area (Greater Bridgeport is drawn as Western Connecticut).
+    """
+    features_by_county = defaultdict(list)
+    features_by_area = defaultdict(list)
+    for fips, entry in sorted(county_areas.items()):
+        features_by_county[entry['county']].append(fips)
+        features_by_area[entry['area']].append(fips)
+    
+    def resolve(fips):
+        if fips in county_areas:
+            return fips
+        county = CT_PLANNING_REGION_FIPS.get(fips)
+        if not county:
+            return None
+        features = features_by_county[county] or features_by_area[county_to_area[f"{county}|CT"][0]]
+        return features[0] if features else None
+    
+    return resolve
+
+
+def load_postal_codes(resolve_fips, path=GEONAMES_ZIP_FILE):
+    """
+    Read the GeoNames postal code file as (zip, place, state, map fips) rows.
+    Military (APO/FPO) codes and counties without a map feature are left out.
+    """
+    rows = []
+    with open(path, 'r', encoding='utf-8') as f:
+        for values in csv.reader(f, delimiter='\t'):
+            row = dict(zip(GEONAMES_ZIP_COLUMNS, values))
+            state_fips = next((code for code, abbr in STATE_FIPS.items() if abbr == row['state']), None)
+            fips = resolve_fips(state_fips + row['countyCode']) if state_fips and row['countyCode'] else None
+            if fips:
+                rows.append((row['zip'], row['place'], row['state'], fips))
+    return rows
+
+
+def create_zip_index(county_areas, resolve_fips, path=CENSUS_ZCTA_FILE, postal_path=GEONAMES_ZIP_FILE):
+    """
+    ZIP code (ZCTA) -> map counties, from the Census ZCTA-to-county relationship file,
+    or from the GeoNames postal codes (one county per ZIP, 100%) when it has not been downloaded.
+    Structure: { zip: [[fips, percent of the ZCTA's land area], ...] } largest share first;
+    counties without an OFLC area are left out. Empty when neither file is available.
+    """
+    if not os.path.exists(path):
+        if not os.path.exists(postal_path):
+            return {}
+        return {code: [[fips, 100]] for code, _, _, fips in sorted(load_postal_codes(resolve_fips, postal_path))}
+    
+    parts = defaultdict(dict)
+    with open(path, 'r', encoding='utf-8-sig') as f:
+        for row in csv.DictReader(f, delimiter='|'):
+            zcta, fips = row['GEOID_ZCTA5_20'], row['GEOID_COUNTY_20']
+            if zcta and fips in county_areas:
+                parts[zcta][fips] = parts[zcta].get(fips, 0) + int(row['AREALAND_PART'] or 0)
+    
+    zips = {}
+    for zcta, counties in sorted(parts.items()):
+        total = sum(counties.values()) or 1
+        zips[zcta] = [[fips, round(land / total * 100)] for fips, land in sorted(counties.items(), key=lambda c: -c[1])]
+    return zips
+
+
+def create_place_index(county_areas, resolve_fips, path=CENSUS_PLACES_FILE, postal_path=GEONAMES_ZIP_FILE):
+    """
+    City/town name -> map counties, from the Census place-by-county list, or from the
+    GeoNames postal place names (counties holding most of the place's ZIPs first) when it has
+    not been downloaded. Structure: { state: { place name: [fips, ...] } }. Empty when neither file is available.
+    """
+    if not os.path.exists(path):
+        if not os.path.exists(postal_path):
+            return {}
+        zip_counts = defaultdict(lambda: defaultdict(lambda: defaultdict(int)))
+        for _, place, state, fips in load_postal_codes(resolve_fips, postal_path):
+            zip_counts[state][place][fips] += 1
+            if place.startswith('Saint '):  # Census and most users write "St. Louis"
+                zip_counts[state]['St. ' + place[len('Saint '):]][fips] += 1
+        return {
+            state: {place: sorted(counts, key=lambda fips: (-counts[fips], fips)) for place, counts in sorted(names.items())}
+            for state, names in sorted(zip_counts.items())
+        }
+    
+    places = defaultdict(lambda: defaultdict(list))
+    with open(path, 'r', encoding='utf-8-sig', errors='replace') as f:
+        for row in csv.DictReader(f, delimiter='|'):
+            fips = row['STATEFP'] + row['COUNTYFP']
+            if fips not in county_areas:
+                continue
+            name = PLACE_TYPE_SUFFIX.sub('', row['PLACENAME'].strip())
+            if fips not in places[row['STATE']][name]:
+                places[row['STATE']][name].append(fips)
+    
+    return {state: dict(sorted(names.items())) for state, names in sorted(places.items())}
+
+
+def print_county_match_report(county_areas, unmatched, county_to_area):
+    """List map features without an OFLC area and OFLC counties no feature points to."""
+    print(f"    Matched {len(county_areas)} map features, {len(unmatched)} unmatched")
+    for feature in sorted(unmatched, key=lambda f: f['fips']):
+        reason = 'ambiguous' if feature['candidates'] > 1 else 'no OFLC county'
+        print(f"      {feature['fips']} {feature['name']}, {feature['state']} ({reason})")
+    
+    mapped = {f"{entry['county']}|{STATE_FIPS[fips[:2]]}" for fips, entry in county_areas.items()}
+    missing = sorted(key for key in county_to_area if key not in mapped)
+    if missing:
+        print(f"    {len(missing)} OFLC counties have no map feature:")
+        for key in missing:
+            county, state = key.split('|')
+            print(f"      {county}, {state}")
+
+
+def load_measured_col(path=MEASURED_COL_FILE):
+    """Load measured COL indexes keyed by current OFLC area code."""
+    with open(path, 'r', encoding='utf-8') as f:
+        measured = json.load(f)
+    return {COL_AREA_CODE_CHANGES.get(code, code): entry for code, entry in measured.items()}
+
+
+def area_wage_ratios(chunks, min_areas=50):
+    """
+    Median ratio of each area's Level 2 wage to the occupation's national median Level 2 wage.
+    Only occupations published in at least min_areas areas are used.
+    Returns ({ area: ratio }, number of occupations used).
+    """
+    ratios = defaultdict(list)
+    used = 0
+    
+    for area_wages in chunks.values():
+        level2 = {area: levels[1] for area, levels in area_wages.items() if levels[1]}
+        if len(level2) < min_areas:
+            continue
+        used += 1
+        national = sorted(level2.values())[len(level2) // 2]
+        for area, wage in level2.items():
+            ratios[area].append(wage / national)
+    
+    return {area: sorted(values)[len(values) // 2] for area, values in ratios.items()}, used
+
+
+def fit_col_model(ratios, measured):
+    """Least-squares fit of log(COL / 100) = a + b * log(wage ratio) over the measured areas."""
+    points = [(math.log(ratios[area]), math.log(entry['colIndex'] / 100))
+              for area, entry in measured.items() if area in ratios]
+    n = len(points)
+    mean_x = sum(x for x, _ in points) / n
+    mean_y = sum(y for _, y in points) / n
+    b = sum((x - mean_x) * (y - mean_y) for x, y in points) / sum((x - mean_x) ** 2 for x, _ in points)
+    a = mean_y - b * mean_x
+    residual = sum((y - a - b * x) ** 2 for x, y in points)
+    total = sum((y - mean_y) ** 2 for _, y in points)
+    return a, b, 1 - residual / total, n
+
+
+def create_cost_of_living(geography, chunks, measured):
+    """
+    COL entry for every OFLC area. Measured indexes are kept; other areas are estimated from how
+    their OFLC wages compare with the national median, calibrated on the measured metros.
+    Housing indexes are only kept where measured; none are derived from wages or the overall index.
+    Structure: { areaCode: { areaName, colIndex, housingIndex (measured only), estimated, source } }
+    """
+    ratios, occupation_count = area_wage_ratios(chunks)
+    a, b, r2, fit_count = fit_col_model(ratios, measured)
+    print(f"    COL model: {occupation_count} occupations, R² {r2:.2f} on {fit_count} measured areas")
+    
+    # Keep extrapolated estimates within a plausible range of the measured values
+    low = min(entry['colIndex'] for entry in measured.values()) - 15
+    high = max(entry['colIndex'] for entry in measured.values())
+    
+    col = {}
+    for area, info in sorted(geography.items()):
+        entry = measured.get(area)
+        if entry:
+            col_index = entry['colIndex']
+            source = entry.get('source', MEASURED_COL_SOURCE)
+        elif area in ratios:
+            col_index = min(high, max(low, round(100 * math.exp(a + b * math.log(ratios[area])))))
+            source = f'Estimated from OFLC wage levels (model R² {r2:.2f})'
+        else:
+            continue
+        
+        col[area] = {
+            'areaName': info['areaName'],
+            'colIndex': col_index,
+            'estimated': not entry,
+            'source': source
+        }
+        if entry and entry.get('housingIndex'):
+            col[area]['housingIndex'] = entry['housingIndex']
+    
+    return col
 
 
 def create_county_search_index(geography):
@@ -144,37 +794,65 @@ def create_county_search_index(geography):
     return index
 
 
+def write_location_indexes(county_areas, county_to_area):
+    """Write zip_counties.json and places.json, skipping each when its source file is missing."""
+    resolve_fips = create_map_fips_resolver(county_areas, county_to_area)
+    for name, index in (('zip_counties.json', create_zip_index(county_areas, resolve_fips)),
+                        ('places.json', create_place_index(county_areas, resolve_fips))):
+        if not index:
+            print(f"  Skipped {name} (no Census relationship file in data/census/ or GeoNames file in data/geonames/)")
+            continue
+        index_file = os.path.join(OUTPUT_DIR, name)
+        with open(index_file, 'w', encoding='utf-8') as f:
+            json.dump(index, f, separators=(',', ':'), ensure_ascii=False)
+        print(f"  Created {index_file} ({os.path.getsize(index_file) / 1024:.0f} KB)")
+
+
 def main():
     print("Loading OFLC wage data...")
     
-    # Load data
+    # Load data (geography and titles come from the current year)
+    current_dir = source_dir(WAGE_YEARS[-1])
     print("  Loading geography...")
-    geography, county_to_area = load_geography()
+    geography, county_to_area = load_geography(current_dir)
     print(f"    Found {len(geography)} areas, {sum(len(g['counties']) for g in geography.values())} county mappings")
     
     print("  Loading occupations...")
-    occupations = load_occupations()
+    occupations = load_occupations(current_dir)
     print(f"    Found {len(occupations)} occupations")
-    
-    print("  Loading wages...")
-    wages = load_wages()
-    print(f"    Found {len(wages)} areas with wage data")
-    
-    # Get common occupations
-    common_socs = get_common_occupations(wages)
-    print(f"  Selected top {len(common_socs)} occupations")
+    requirements = load_occupation_requirements(current_dir)
+    print(f"    Found job zones for {len(requirements)} occupations")
     
     # Create output files
     print("\nCreating output files...")
     
-    # 1. Wage lookup (main data file)
-    wage_lookup = create_wage_lookup_file(wages, geography, occupations, set(common_socs))
-    wage_file = os.path.join(OUTPUT_DIR, 'wages.json')
-    with open(wage_file, 'w') as f:
-        json.dump(wage_lookup, f, separators=(',', ':'))  # Compact JSON
-    print(f"  Created {wage_file} ({os.path.getsize(wage_file) / 1024 / 1024:.1f} MB)")
+    # 1. Wage chunks per year, one file per occupation (loaded lazily by the app)
+    wage_socs = set()
+    for year in WAGE_YEARS:
+        if year is not WAGE_YEARS[-1] and not os.path.exists(os.path.join(source_dir(year), 'ALC_Export.csv')):
+            print(f"  Skipped {year['id']} wages ({year['source']}/ALC_Export.csv not found)")
+            continue
+        print(f"  Loading {year['id']} wages...")
+        wages = load_wages(source_dir(year))
+        print(f"    Found {len(wages)} areas with wage data")
+        
+        chunks = create_wage_chunks(wages)
+        wage_socs.update(chunks.keys())
+        total_size = write_wage_chunks(chunks, year['id'])
+        print(f"    Created {len(chunks)} files in {os.path.join(WAGES_DIR, year['id'])} ({total_size / 1024 / 1024:.1f} MB total)")
     
-    # 2. Geography/Area lookup
+    wage_socs = sorted(wage_socs)
+    print(f"  Found wage data for {len(wage_socs)} occupations")
+    
+    # 2. Geography/Area lookup (with population when Census estimates are available)
+    population = load_area_population(county_to_area)
+    for area, info in geography.items():
+        if area in population:
+            info['population'] = population[area]
+    if population:
+        print(f"  Added population for {len(population)} of {len(geography)} areas")
+    else:
+        print("  Skipped area population (no Census co-est*-alldata.csv in data/census/)")
     geo_file = os.path.join(OUTPUT_DIR, 'geography.json')
     with open(geo_file, 'w') as f:
         json.dump(geography, f, separators=(',', ':'))
@@ -187,21 +865,49 @@ def main():
         json.dump(county_index, f, separators=(',', ':'))
     print(f"  Created {county_file} ({os.path.getsize(county_file) / 1024:.0f} KB)")
     
-    # 4. Occupations list (filtered to common ones)
-    occ_list = [{'code': soc, 'title': occupations.get(soc, soc)} for soc in common_socs if soc in occupations]
+    # 3b. Map feature (county FIPS) -> OFLC area
+    county_areas, unmatched = create_county_area_map(county_to_area)
+    county_areas_file = os.path.join(OUTPUT_DIR, 'county_areas.json')
+    with open(county_areas_file, 'w') as f:
+        json.dump(county_areas, f, separators=(',', ':'))
+    print(f"  Created {county_areas_file} ({os.path.getsize(county_areas_file) / 1024:.0f} KB)")
+    print_county_match_report(county_areas, unmatched, county_to_area)
+    
+    # 4. Occupations list (every occupation that has a wage chunk in any year)
+    occ_list = create_occupation_list(wage_socs, occupations, requirements)
     occ_file = os.path.join(OUTPUT_DIR, 'occupations.json')
     with open(occ_file, 'w') as f:
         json.dump(occ_list, f, indent=2)
     print(f"  Created {occ_file} ({os.path.getsize(occ_file) / 1024:.0f} KB)")
     
+    # 5. Job title index (O*NET titles and common titles → SOC code)
+    title_index = create_title_index(current_dir, set(wage_socs))
+    titles_file = os.path.join(OUTPUT_DIR, 'occupation_titles.json')
+    with open(titles_file, 'w') as f:
+        json.dump(title_index, f, indent=2)
+    print(f"  Created {titles_file} ({len(title_index)} titles)")
+    
+    # 6. Cost of living for every area (measured where available, otherwise estimated from wages)
+    col = create_cost_of_living(geography, chunks, load_measured_col())
+    col_file = os.path.join(OUTPUT_DIR, 'cost_of_living.json')
+    with open(col_file, 'w') as f:
+        json.dump(col, f, indent=2, ensure_ascii=False)
+    print(f"  Created {col_file} ({sum(1 for c in col.values() if c['estimated'])} of {len(col)} areas estimated)")
+    
+    # 7. ZIP code and city search indexes (Census relationship files, else GeoNames postal codes)
+    write_location_indexes(county_areas, county_to_area)
+    
+    # 8. Manifest with the wage years and checksums (written last, after every file it describes)
+    write_manifest()
+    
     print("\n✅ Done! Data files ready for the app.")
     
     # Sample verification
-    print("\n📊 Sample verification (Software Developers in San Jose):")
+    print(f"\n📊 Sample verification (Software Developers in San Jose, {WAGE_YEARS[-1]['id']}):")
     san_jose_area = '41940'
     soc = '15-1252'
-    if san_jose_area in wage_lookup and soc in wage_lookup[san_jose_area]:
-        levels = wage_lookup[san_jose_area][soc]
+    if soc in chunks and san_jose_area in chunks[soc]:
+        levels = chunks[soc][san_jose_area]
         print(f"   Level 1: ${levels[0]:,}/year")
         print(f"   Level 2: ${levels[1]:,}/year")
         print(f"   Level 3: ${levels[2]:,}/year")
@@ -209,4 +915,14 @@ def main():
 
 
 if __name__ == '__main__':
-    main()
+    # --manifest-only: rebuild data/manifest.json after editing or replacing files in data/
+    # --location-indexes: rebuild the ZIP and city indexes from county_areas.json, then the manifest
+    if '--manifest-only' in sys.argv[1:]:
+        write_manifest()
+    elif '--location-indexes' in sys.argv[1:]:
+        with open(os.path.join(OUTPUT_DIR, 'county_areas.json'), 'r', encoding='utf-8') as f:
+            county_areas = json.load(f)
+        write_location_indexes(county_areas, load_geography(source_dir(WAGE_YEARS[-1]))[1])
+        write_manifest()
+    else:
+        main()
@@ -0,0 +1,186 @@
+/**
+ * H1B Wage Levels 2026 - Service Worker
+ * Caches the app shell, map and OFLC data so the dashboard works offline after the first visit
+ */
+
+'use strict';
+
+// Bump when the shell files change so clients pick up the new version
+const CACHE_VERSION = 'v12';
+const SHELL_CACHE = `h1b-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `h1b-data-${CACHE_VERSION}`;
+
+// Read by OfflineCache to show which data version is cached
+const CACHE_INFO_URL = 'cache-info.json';
+
+// Keep in sync with the stylesheets and scripts in index.html
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles/main.css',
+    'styles/comp.css',
+    'styles/calculator.css',
+    'styles/multi-compare.css',
+    'styles/reverse-search.css',
+    'styles/report-export.css',
+    'styles/roster.css',
+    'styles/worksites.css',
+    'styles/growth-projection.css',
+    'styles/county-table.css',
+    'styles/lottery.css',
+    'js/vendor/d3.v7.min.js',
+    'js/vendor/topojson-client.min.js',
+    'js/data-provider.js',
+    'js/data.js',
+    'js/tax-tables.js',
+    'js/calculator.js',
+    'js/lottery.js',
+    'js/wage-worksheet.js',
+    'js/negotiation.js',
+    'js/multi-compare.js',
+    'js/reverse-search.js',
+    'js/report-export.js',
+    'js/roster.js',
+    'js/worksites.js',
+    'js/growth-projection.js',
+    'js/url-state.js',
+    'js/a11y.js',
+    'js/county-table.js',
+    'js/offline.js',
+    'js/app.js'
+];
+
+// The bundled dataset; its manifest lists the other data files
+const MANIFEST_URL = 'data/manifest.json';
+const DATA_FILES = [
+    MANIFEST_URL,
+    'data/counties-10m.json'
+];
+// Large indexes loaded on the first ZIP or city search instead of on install
+const LAZY_DATA_FILES = ['zipCounties', 'places'];
+
+/**
+ * Fetch a JSON file from the network and store it in the data cache
+ */
+async function fetchAndCache(cache, url) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`Failed to cache ${url}`);
+    await cache.put(url, response.clone());
+    return response;
+}
+
+const dataUrl = path => new URL(path, new URL(MANIFEST_URL, self.location)).href;
+
+/**
+ * URLs of a manifest year's wage chunks (years without checksums don't list their chunks)
+ */
+function wageChunkUrls(year) {
+    return Object.keys(year.checksums || {}).map(soc => dataUrl(year.wages.replace('{soc}', encodeURIComponent(soc))));
+}
+
+/**
+ * Record the wage years whose chunks are all cached so the page can show the data version
+ */
+async function writeCacheInfo(cache, manifest) {
+    const cached = [];
+    for (const year of manifest.years) {
+        const urls = wageChunkUrls(year);
+        const matches = await Promise.all(urls.map(url => cache.match(url)));
+        if (urls.length && matches.every(Boolean)) cached.push(year);
+    }
+
+    const info = {
+        version: CACHE_VERSION,
+        years: cached.map(year => ({ id: year.id, label: year.label })),
+        cachedAt: new Date().toISOString()
+    };
+    await cache.put(CACHE_INFO_URL, new Response(JSON.stringify(info), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+/**
+ * Cache the manifest, the indexes it lists plus every wage chunk of every year,
+ * so each year recorded in cache-info.json also loads offline
+ */
+async function precacheData() {
+    const cache = await caches.open(DATA_CACHE);
+    const responses = await Promise.all(DATA_FILES.map(url => fetchAndCache(cache, url)));
+
+    const manifest = await responses[DATA_FILES.indexOf(MANIFEST_URL)].json();
+    const files = Object.entries(manifest.files)
+        .filter(([key]) => !LAZY_DATA_FILES.includes(key))
+        .map(([, file]) => dataUrl(file.url));
+    const chunks = manifest.years.flatMap(wageChunkUrls);
+
+    await Promise.all([...files, ...chunks].map(url => fetchAndCache(cache, url)));
+    await writeCacheInfo(cache, manifest);
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        await precacheData();
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('h1b-') && key !== SHELL_CACHE && key !== DATA_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Data: network first so a new release is picked up, falling back to the cache offline
+ */
+async function handleData(request) {
+    const cache = await caches.open(DATA_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            if (request.url.endsWith(MANIFEST_URL)) {
+                await writeCacheInfo(cache, await response.clone().json());
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Shell: serve from cache immediately and refresh it in the background
+ */
+async function handleShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = request.url.split('?')[0]; // Shared links differ only by query string
+    const cached = await cache.match(key);
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(key, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.includes('/data/')) {
+        event.respondWith(handleData(event.request));
+    } else if (!url.pathname.endsWith(CACHE_INFO_URL)) {
+        event.respondWith(handleShell(event.request));
+    }
+});